@@ -0,0 +1,223 @@
+// lib/abi.js - ABI registry plus call encoding, result/log decoding and revert decoding
+//
+// Callers pass either a human-readable signature ("balanceOf(address) view returns (uint256)",
+// "event Transfer(address indexed from, address indexed to, uint256 value)") or an ABI, given
+// inline as JSON or by the name it was registered under.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { Interface, AbiCoder, FunctionFragment, EventFragment, ErrorFragment, isHexString } = require('ethers');
+const { InvalidParamsError } = require('./errors');
+
+const abiRegistry = new Map();
+
+// Solidity panic codes (https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require)
+const PANIC_REASONS = {
+  0x00: 'generic compiler panic',
+  0x01: 'assert(false)',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array encoding',
+  0x31: 'pop() on an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory / too large allocation',
+  0x51: 'call to uninitialized internal function'
+};
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+function parseAbiJson(abi) {
+  let parsed = abi;
+  if (typeof abi === 'string') {
+    try {
+      parsed = JSON.parse(abi);
+    } catch (e) {
+      throw new InvalidParamsError(`ABI is not valid JSON: ${e.message}`);
+    }
+  }
+  // Accept raw ABI arrays as well as compiler/Hardhat artifacts ({ abi: [...] })
+  const fragments = Array.isArray(parsed) ? parsed : parsed?.abi;
+  if (!Array.isArray(fragments)) throw new InvalidParamsError('ABI must be a JSON array or an artifact with an "abi" array');
+  return fragments;
+}
+
+function registerAbi(name, abi) {
+  if (!/^[A-Za-z0-9_.-]+$/.test(String(name || ''))) throw new InvalidParamsError(`Invalid ABI name "${name}" (use [A-Za-z0-9_.-])`);
+  const fragments = parseAbiJson(abi);
+  const iface = new Interface(fragments); // Validates the ABI up front
+  abiRegistry.set(name, { fragments, iface });
+  return { name, functions: iface.fragments.filter(f => f.type === 'function').length, events: iface.fragments.filter(f => f.type === 'event').length, errors: iface.fragments.filter(f => f.type === 'error').length };
+}
+
+// Load every *.json file in a directory as an ABI named after the file (ERC20.json -> "ERC20")
+function loadAbiDir(dir) {
+  const loaded = [];
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json')) continue;
+    const name = path.basename(file, '.json');
+    try {
+      registerAbi(name, fs.readFileSync(path.join(dir, file), 'utf8'));
+      loaded.push(name);
+    } catch (e) {
+      console.warn(`[abi] Skipping ${file}: ${e?.message || e}`);
+    }
+  }
+  return loaded;
+}
+
+function listAbis() {
+  return [...abiRegistry.entries()].map(([name, { iface }]) => ({
+    name,
+    functions: iface.fragments.filter(f => f.type === 'function').map(f => f.format('sighash')),
+    events: iface.fragments.filter(f => f.type === 'event').map(f => f.format('sighash')),
+    errors: iface.fragments.filter(f => f.type === 'error').map(f => f.format('sighash'))
+  }));
+}
+
+// Resolve an ABI reference (registered name, JSON string or array) to an Interface
+function interfaceFromAbi(abi) {
+  if (typeof abi === 'string' && abiRegistry.has(abi)) return abiRegistry.get(abi).iface;
+  if (typeof abi === 'string' && !abi.trim().startsWith('[') && !abi.trim().startsWith('{')) {
+    throw new InvalidParamsError(`Unknown ABI "${abi}". Register it first or pass the ABI JSON inline.`);
+  }
+  return new Interface(parseAbiJson(abi));
+}
+
+function withKeyword(signature, keyword) {
+  const sig = String(signature).trim();
+  return sig.startsWith(`${keyword} `) ? sig : `${keyword} ${sig}`;
+}
+
+// Resolve { signature | abi + name } to a function fragment and the interface to use with it
+function resolveFunction({ signature, abi, functionName }) {
+  if (signature) {
+    const fragment = FunctionFragment.from(withKeyword(signature, 'function'));
+    return { iface: new Interface([fragment]), fragment };
+  }
+  if (!abi) throw new InvalidParamsError('Provide either a function signature or an ABI (JSON or registered name)');
+  if (!functionName) throw new InvalidParamsError('functionName is required when calling through an ABI');
+  const iface = interfaceFromAbi(abi);
+  const fragment = iface.getFunction(functionName);
+  if (!fragment) throw new InvalidParamsError(`Function "${functionName}" not found in ABI`);
+  return { iface, fragment };
+}
+
+function resolveEvent({ signature, abi, eventName }) {
+  if (signature) {
+    const fragment = EventFragment.from(withKeyword(signature, 'event'));
+    return { iface: new Interface([fragment]), fragment };
+  }
+  if (!abi) throw new InvalidParamsError('Provide either an event signature or an ABI (JSON or registered name)');
+  const iface = interfaceFromAbi(abi);
+  if (!eventName) return { iface, fragment: null }; // Decode whatever events the ABI knows
+  const fragment = iface.getEvent(eventName);
+  if (!fragment) throw new InvalidParamsError(`Event "${eventName}" not found in ABI`);
+  return { iface, fragment };
+}
+
+// Convert ethers values to JSON-friendly ones: bigint -> decimal string, named tuples -> objects
+function toPlain(value, param) {
+  if (typeof value === 'bigint') return value.toString();
+  if (value && typeof value === 'object' && typeof value.toArray === 'function') {
+    const items = value.toArray();
+    if (param?.baseType === 'array') return items.map(v => toPlain(v, param.arrayChildren));
+    if (param?.baseType === 'tuple') {
+      const comps = param.components || [];
+      if (comps.length && comps.every(c => c.name)) {
+        return Object.fromEntries(comps.map((c, i) => [c.name, toPlain(items[i], c)]));
+      }
+      return items.map((v, i) => toPlain(v, comps[i]));
+    }
+    return items.map(v => toPlain(v));
+  }
+  if (value && typeof value === 'object' && value.hash && value._isIndexed) return { indexedHash: value.hash };
+  return value;
+}
+
+// Map decoded values onto their parameter names (positional key when unnamed)
+function namedValues(params, values) {
+  const out = {};
+  params.forEach((p, i) => { out[p.name || String(i)] = toPlain(values[i], p); });
+  return out;
+}
+
+function encodeCall({ signature, abi, functionName, args = [] }) {
+  const { iface, fragment } = resolveFunction({ signature, abi, functionName });
+  if (args.length !== fragment.inputs.length) {
+    throw new InvalidParamsError(`${fragment.format('sighash')} expects ${fragment.inputs.length} argument(s), got ${args.length}`);
+  }
+  const data = iface.encodeFunctionData(fragment, args);
+  return { iface, fragment, data };
+}
+
+function decodeCallResult(iface, fragment, data) {
+  if (!fragment.outputs.length) return { raw: data };
+  const values = iface.decodeFunctionResult(fragment, data);
+  return { raw: data, decoded: namedValues(fragment.outputs, values) };
+}
+
+// Decode revert data as Error(string), Panic(uint256) or a custom error from the given ABI
+function decodeRevert(data, iface) {
+  if (typeof data !== 'string' || !isHexString(data)) return null;
+  if (data === '0x') return { kind: 'empty', message: 'Reverted without reason' };
+  const selector = data.slice(0, 10).toLowerCase();
+  const coder = AbiCoder.defaultAbiCoder();
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [message] = coder.decode(['string'], '0x' + data.slice(10));
+      return { kind: 'Error', message };
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [code] = coder.decode(['uint256'], '0x' + data.slice(10));
+      const reason = PANIC_REASONS[Number(code)] || 'unknown panic code';
+      return { kind: 'Panic', code: '0x' + code.toString(16), message: `Panic(${reason})` };
+    }
+  } catch (_) { /* fall through to custom/unknown */ }
+  if (iface) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) {
+        const args = namedValues(parsed.fragment.inputs, parsed.args);
+        const rendered = Object.entries(args).map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`).join(', ');
+        return { kind: 'CustomError', name: parsed.name, signature: parsed.signature, args, message: `${parsed.name}(${rendered})` };
+      }
+    } catch (_) { /* unknown selector */ }
+  }
+  return { kind: 'unknown', selector, data };
+}
+
+// Build an Interface holding custom error fragments given as human-readable signatures,
+// optionally on top of an existing interface's fragments
+function errorInterface(errorSignatures = [], base = null) {
+  if (!errorSignatures.length) return base;
+  const extra = errorSignatures.map(sig => ErrorFragment.from(withKeyword(sig, 'error')));
+  return new Interface([...(base ? base.fragments : []), ...extra]);
+}
+
+// Decode one raw log against an interface; returns null when no event in the ABI matches
+function decodeLog(iface, log) {
+  let parsed;
+  try { parsed = iface.parseLog({ topics: log.topics, data: log.data }); } catch (_) { parsed = null; }
+  if (!parsed) return null;
+  return {
+    event: parsed.name,
+    signature: parsed.signature,
+    args: namedValues(parsed.fragment.inputs, parsed.args)
+  };
+}
+
+module.exports = {
+  registerAbi,
+  loadAbiDir,
+  listAbis,
+  interfaceFromAbi,
+  resolveFunction,
+  resolveEvent,
+  encodeCall,
+  decodeCallResult,
+  decodeRevert,
+  decodeLog,
+  errorInterface,
+  toPlain
+};
@@ -0,0 +1,179 @@
+// lib/auth.js - bearer API keys with per-key tool scopes and token-bucket rate limits
+//
+// Keys come from a JSON file (API_KEYS_FILE):
+//   {
+//     "keys": [
+//       { "name": "agent", "key": "plaintext" | "sha256": "<hex digest>", "scopes": ["eth", "txpool"],
+//         "rateLimit": { "capacity": 60, "refillPerSecond": 1 } }
+//     ],
+//     "weights": { "debug_traceTransaction": 10 }
+//   }
+// Scopes: eth (read-only eth_*), debug, admin, txpool, send (eth_sendRawTransaction), abi
+// (eth_registerAbi, which changes decoding for every caller), metrics (GET /metrics; admin
+// keys may scrape too) and * (all).
+// Without a keys file authentication is disabled and every caller may use every tool.
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const { readCursor } = require('./logsPager');
+
+const KNOWN_SCOPES = new Set(['eth', 'debug', 'admin', 'txpool', 'send', 'abi', 'metrics', '*']);
+const FORBIDDEN_CODE = -32003;
+const RATE_LIMITED_CODE = -32005; // EIP-1474 "Limit exceeded"
+
+// Default cost of one call; anything not listed costs 1
+const DEFAULT_WEIGHTS = {
+  debug_traceTransaction: 10,
+  debug_traceCall: 10,
+  debug_traceBlockByNumber: 25,
+  debug_traceBlockByHash: 25,
+  debug_blockProfile: 10,
+  debug_metrics: 2,
+  admin_peers: 2,
+  txpool_content: 5,
+  eth_getProof: 3,
+  admin_nodeHealth: 8, // admin_peers + debug_metrics + four cheap reads
+  // resources/read and prompts/get, per geth://<kind>/ resource read (one unit per node call)
+  'resource:block': 1,
+  'resource:tx': 2,
+  'resource:account': 4,
+  'resource:node': 6,
+  'resource:subscriptions': 1
+};
+const LOGS_BLOCKS_PER_UNIT = 1000; // eth_getLogs costs one extra unit per this many blocks
+const LOGS_MAX_WEIGHT = 20;
+const PORTFOLIO_READS_PER_UNIT = 20; // eth_getPortfolio: one unit per this many balance/token reads
+const PORTFOLIO_MAX_WEIGHT = 50;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+// Scope needed to call a tool, from its canonical (non-alias) name
+function scopeForTool(name) {
+  if (name === 'eth_sendRawTransaction' || name === 'eth_sendTransaction') return 'send';
+  if (name === 'eth_registerAbi') return 'abi';
+  const prefix = String(name).split('_')[0];
+  return KNOWN_SCOPES.has(prefix) ? prefix : 'eth';
+}
+
+function blockNumberOf(ref) {
+  if (typeof ref === 'number') return ref;
+  if (typeof ref === 'string' && /^0x[0-9a-fA-F]+$/.test(ref)) return Number(BigInt(ref));
+  if (typeof ref === 'string' && /^\d+$/.test(ref)) return Number(ref);
+  return null;
+}
+
+function createBucket({ capacity = 60, refillPerSecond = 1 } = {}) {
+  return { capacity, refillPerSecond, tokens: capacity, updatedAt: Date.now() };
+}
+
+// Take `cost` tokens; returns { ok, retryAfterMs, remaining }
+function takeTokens(bucket, cost, now = Date.now()) {
+  const elapsed = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.refillPerSecond);
+  bucket.updatedAt = now;
+  if (cost > bucket.capacity) {
+    return { ok: false, retryAfterMs: null, remaining: Math.floor(bucket.tokens) }; // Can never fit
+  }
+  if (bucket.tokens >= cost) {
+    bucket.tokens -= cost;
+    return { ok: true, remaining: Math.floor(bucket.tokens) };
+  }
+  const missing = cost - bucket.tokens;
+  const retryAfterMs = bucket.refillPerSecond > 0 ? Math.ceil((missing / bucket.refillPerSecond) * 1000) : null;
+  return { ok: false, retryAfterMs, remaining: Math.floor(bucket.tokens) };
+}
+
+function createAuth({ file, env = process.env } = {}) {
+  const keysFile = file ?? env.API_KEYS_FILE;
+  const principalsByHash = new Map();
+  let weights = { ...DEFAULT_WEIGHTS };
+
+  if (keysFile) {
+    const config = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+    const keys = Array.isArray(config) ? config : config.keys;
+    if (!Array.isArray(keys)) throw new Error(`${keysFile}: expected a "keys" array`);
+    weights = { ...weights, ...(config.weights || {}) };
+    for (const entry of keys) {
+      const digest = entry.sha256 ? String(entry.sha256).toLowerCase() : entry.key ? sha256(entry.key) : null;
+      if (!digest || !entry.name) throw new Error(`${keysFile}: every key needs a name and a key or sha256`);
+      if (!/^[0-9a-f]{64}$/.test(digest)) throw new Error(`${keysFile}: key "${entry.name}" has a malformed sha256 digest`);
+      const scopes = entry.scopes || ['eth'];
+      const unknown = scopes.filter(s => !KNOWN_SCOPES.has(s));
+      if (unknown.length) throw new Error(`${keysFile}: key "${entry.name}" has unknown scope(s) ${unknown.join(', ')}`);
+      principalsByHash.set(digest, {
+        name: entry.name,
+        scopes: new Set(scopes),
+        bucket: entry.rateLimit === false ? null : createBucket(entry.rateLimit)
+      });
+    }
+  }
+
+  const enabled = principalsByHash.size > 0;
+
+  // Resolve the Authorization header to a principal; null when missing or unknown
+  function authenticate(authorizationHeader) {
+    const match = /^Bearer\s+(.+)$/i.exec(String(authorizationHeader || '').trim());
+    if (!match) return null;
+    const digest = sha256(match[1].trim());
+    for (const [known, principal] of principalsByHash) {
+      if (crypto.timingSafeEqual(Buffer.from(known, 'hex'), Buffer.from(digest, 'hex'))) return principal;
+    }
+    return null;
+  }
+
+  // principal === undefined means "auth disabled / trusted transport"
+  function allows(principal, scope) {
+    if (!enabled || principal === undefined) return true;
+    if (!principal) return false;
+    return principal.scopes.has('*') || principal.scopes.has(scope);
+  }
+
+  // Cost of one tools/call (or resource read: args.uris); eth_getLogs scales with the requested block range.
+  // head (current block number, if known) resolves "latest" ends of a range.
+  function weightOf(toolName, args = {}, head = null) {
+    if (toolName === 'resources/read' || toolName === 'prompts/get') {
+      const kindOf = uri => (/^geth:\/\/([a-z]+)\//.exec(String(uri || '')) || [])[1];
+      return Math.max(1, (args.uris || []).reduce((sum, uri) => sum + (weights[`resource:${kindOf(uri)}`] || 1), 0));
+    }
+    if (toolName === 'eth_getLogs' || toolName === 'eth_getEventLogs') {
+      // Continuation pages: price the rest of the frozen range the cursor carries
+      if (args.cursor) {
+        const state = readCursor(args.cursor);
+        if (!state || !Number.isSafeInteger(state.next) || !Number.isSafeInteger(state.to)) return LOGS_MAX_WEIGHT;
+        return Math.min(LOGS_MAX_WEIGHT, 1 + Math.floor(Math.max(0, state.to - state.next) / LOGS_BLOCKS_PER_UNIT));
+      }
+      if (args.blockHash) return 1;
+      // eth_getLogs defaults fromBlock to earliest, i.e. the whole chain
+      const fromRef = args.fromBlock ?? (toolName === 'eth_getLogs' ? 'earliest' : 'latest');
+      if (fromRef === 'earliest') return LOGS_MAX_WEIGHT;
+      const from = blockNumberOf(fromRef);
+      const toRef = args.toBlock ?? 'latest';
+      const to = blockNumberOf(toRef) ?? (toRef === 'latest' || toRef === 'pending' ? head : null);
+      if (from === null) return weights[toolName] || 1; // Tag-relative ranges are near the head
+      if (to === null) return LOGS_MAX_WEIGHT; // Open-ended range of unknown width
+      return Math.min(LOGS_MAX_WEIGHT, 1 + Math.floor(Math.max(0, to - from) / LOGS_BLOCKS_PER_UNIT));
+    }
+    // Runs callTracer, plus prestateTracer with stateDiff: as costly as the traces it wraps
+    if (toolName === 'debug_investigateTransaction') {
+      return weights[toolName] ?? (args.stateDiff ? 2 : 1) * (weights.debug_traceTransaction || 1);
+    }
+    // One read per address for ETH/nonce plus one per address and token
+    if (toolName === 'eth_getPortfolio') {
+      const reads = (Array.isArray(args.addresses) ? args.addresses.length : 1) * (1 + (Array.isArray(args.tokens) ? args.tokens.length : 0));
+      return Math.min(PORTFOLIO_MAX_WEIGHT, (weights[toolName] || 1) + Math.floor(reads / PORTFOLIO_READS_PER_UNIT));
+    }
+    return weights[toolName] || 1;
+  }
+
+  function consume(principal, toolName, args, head = null) {
+    if (!enabled || !principal || !principal.bucket) return { ok: true };
+    const cost = weightOf(toolName, args, head);
+    return { cost, ...takeTokens(principal.bucket, cost) };
+  }
+
+  return { enabled, authenticate, allows, consume, weightOf, keyCount: principalsByHash.size };
+}
+
+module.exports = { createAuth, scopeForTool, FORBIDDEN_CODE, RATE_LIMITED_CODE };
@@ -0,0 +1,278 @@
+// lib/chainWatcher.js - shared upstream subscriptions (newHeads, logs, newPendingTransactions)
+//
+// With GETH_WS_URL set, events come from eth_subscribe over one WebSocket that reconnects and
+// re-subscribes on its own. Without it (or while the socket is down) the watcher polls
+// eth_newBlockFilter / eth_newFilter / eth_newPendingTransactionFilter with eth_getFilterChanges,
+// re-creating a filter when the node forgets it (restart). A filter id exists only on the node
+// that created it, so a feed polls that upstream alone; when it fails the feed starts a new filter
+// elsewhere and its status reports the gap, since events in between are lost.
+// Identical subscriptions share one upstream feed and fan out to every listener.
+
+const WebSocket = require('ws');
+const { InvalidParamsError } = require('./errors');
+
+const KINDS = new Set(['newHeads', 'logs', 'newPendingTransactions']);
+const MAX_BACKOFF_MS = 30_000;
+
+function feedKey(kind, filter) {
+  return kind === 'logs' ? `logs:${JSON.stringify(filter || {})}` : kind;
+}
+
+function createChainWatcher(options = {}) {
+  const {
+    rpc, // async (method, params) => result, through the upstream pool
+    // async (method, params, upstream) => { result, upstream }: upstream pins the call to one node
+    // (null: any); used for the filter methods. Without it filters go through rpc unpinned.
+    filterRpc = async (method, params) => ({ result: await rpc(method, params), upstream: null }),
+    wsUrl = null,
+    pollIntervalMs = 4000,
+    requestTimeoutMs = 8000 // eth_subscribe / eth_unsubscribe over the socket
+  } = options;
+
+  const feeds = new Map(); // key -> { kind, filter, listeners, wsSubId, filterId, filterUpstream, lastFailure, pollTimer }
+  let ws = null;
+  let wsReady = false;
+  let wsBackoff = 1000;
+  let wsNextId = 1;
+  const wsPending = new Map(); // request id -> { resolve, reject, timer }
+  let stopped = false;
+
+  function emit(feed, event) {
+    for (const listener of [...feed.listeners]) {
+      try { listener(event); } catch (e) { console.warn('[chainWatcher] listener failed:', e?.message || e); }
+    }
+  }
+
+  // ---- WebSocket source ----
+
+  // A socket that is open but unresponsive must not stall attach(); a late answer is dropped
+  function wsRequest(method, params) {
+    return new Promise((resolve, reject) => {
+      const id = wsNextId++;
+      const timer = setTimeout(() => {
+        wsPending.delete(id);
+        reject(new Error(`${method} over WebSocket timed out after ${requestTimeoutMs} ms`));
+      }, requestTimeoutMs);
+      wsPending.set(id, { resolve, reject, timer });
+      ws.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+    });
+  }
+
+  function connectWs() {
+    if (!wsUrl || stopped || ws) return;
+    ws = new WebSocket(wsUrl);
+    ws.on('open', async () => {
+      wsReady = true;
+      wsBackoff = 1000;
+      console.log('[chainWatcher] WebSocket connected');
+      for (const feed of feeds.values()) await attach(feed).catch(() => { /* attach falls back to polling */ });
+    });
+    ws.on('message', raw => {
+      let msg;
+      try { msg = JSON.parse(raw.toString()); } catch { return; }
+      if (msg.id !== undefined && wsPending.has(msg.id)) {
+        const { resolve, reject, timer } = wsPending.get(msg.id);
+        clearTimeout(timer);
+        wsPending.delete(msg.id);
+        return msg.error ? reject(new Error(msg.error.message)) : resolve(msg.result);
+      }
+      if (msg.method === 'eth_subscription' && msg.params) {
+        for (const feed of feeds.values()) {
+          if (feed.wsSubId === msg.params.subscription) emit(feed, msg.params.result);
+        }
+      }
+    });
+    ws.on('close', () => {
+      const wasReady = wsReady;
+      ws = null;
+      wsReady = false;
+      for (const { reject, timer } of wsPending.values()) {
+        clearTimeout(timer);
+        reject(new Error('WebSocket closed'));
+      }
+      wsPending.clear();
+      if (stopped) return;
+      if (wasReady) console.warn('[chainWatcher] WebSocket closed; polling until it reconnects');
+      // Keep events flowing by polling while the socket is down
+      for (const feed of feeds.values()) {
+        feed.wsSubId = null;
+        startPolling(feed);
+      }
+      setTimeout(connectWs, wsBackoff).unref();
+      wsBackoff = Math.min(MAX_BACKOFF_MS, wsBackoff * 2);
+    });
+    ws.on('error', err => {
+      console.warn('[chainWatcher] WebSocket error:', err?.message || err);
+    });
+  }
+
+  // ---- Polling source ----
+
+  async function createFilter(feed) {
+    const [method, params] = feed.kind === 'newHeads' ? ['eth_newBlockFilter', []]
+      : feed.kind === 'newPendingTransactions' ? ['eth_newPendingTransactionFilter', []]
+        : ['eth_newFilter', [{ ...feed.filter, fromBlock: 'latest', toBlock: 'latest' }]];
+    const { result, upstream } = await filterRpc(method, params, null);
+    feed.filterId = result;
+    feed.filterUpstream = upstream;
+  }
+
+  async function pollOnce(feed) {
+    if (!feed.filterId) await createFilter(feed);
+    let changes;
+    try {
+      ({ result: changes } = await filterRpc('eth_getFilterChanges', [feed.filterId], feed.filterUpstream));
+    } catch (err) {
+      if (/filter not found/i.test(err?.message || '')) {
+        feed.filterId = null; // Node restarted; start over
+        return;
+      }
+      if (err?.name === 'UpstreamError' && feed.filterUpstream) {
+        // The filter's node is gone: start a new filter on the next tick, wherever the pool sends it
+        feed.lastFailure = { upstream: feed.filterUpstream, error: err.message, at: new Date().toISOString() };
+        console.warn(`[chainWatcher] ${feed.kind} filter on ${feed.filterUpstream} lost (${err.message}); events until a new filter is up are missed`);
+        feed.filterId = null;
+        feed.filterUpstream = null;
+      }
+      throw err;
+    }
+    for (const change of changes || []) {
+      if (feed.kind === 'newHeads') {
+        // Block filters return hashes; subscribers expect headers like eth_subscribe delivers
+        const header = await rpc('eth_getBlockByHash', [change, false]);
+        if (header) emit(feed, header);
+      } else {
+        emit(feed, change);
+      }
+    }
+  }
+
+  function startPolling(feed) {
+    if (feed.pollTimer || stopped) return;
+    const tick = async () => {
+      try {
+        await pollOnce(feed);
+      } catch (err) {
+        console.warn(`[chainWatcher] poll ${feed.kind} failed:`, err?.message || err);
+      }
+      if (feed.pollTimer) feed.pollTimer = setTimeout(tick, pollIntervalMs);
+    };
+    feed.pollTimer = setTimeout(tick, 0);
+  }
+
+  function stopPolling(feed) {
+    if (feed.pollTimer) clearTimeout(feed.pollTimer);
+    feed.pollTimer = null;
+    if (feed.filterId) {
+      filterRpc('eth_uninstallFilter', [feed.filterId], feed.filterUpstream).catch(() => { /* filter may already be gone */ });
+      feed.filterId = null;
+      feed.filterUpstream = null;
+    }
+  }
+
+  // Attach a feed to the best available source
+  async function attach(feed) {
+    if (wsReady) {
+      try {
+        const params = feed.kind === 'logs' ? ['logs', feed.filter || {}] : [feed.kind];
+        feed.wsSubId = await wsRequest('eth_subscribe', params);
+        stopPolling(feed);
+        return;
+      } catch (err) {
+        console.warn(`[chainWatcher] eth_subscribe ${feed.kind} failed, polling instead:`, err?.message || err);
+      }
+    }
+    startPolling(feed);
+  }
+
+  function detach(feed) {
+    stopPolling(feed);
+    if (feed.wsSubId && wsReady) wsRequest('eth_unsubscribe', [feed.wsSubId]).catch(() => { /* noop */ });
+    feed.wsSubId = null;
+  }
+
+  // Subscribe a listener; returns an unsubscribe function
+  function subscribe(kind, filter, listener) {
+    if (!KINDS.has(kind)) throw new InvalidParamsError(`Unsupported subscription kind "${kind}" (use ${[...KINDS].join(', ')})`);
+    const key = feedKey(kind, filter);
+    let feed = feeds.get(key);
+    if (!feed) {
+      feed = { key, kind, filter: kind === 'logs' ? (filter || {}) : null, listeners: new Set(), wsSubId: null, filterId: null, filterUpstream: null, lastFailure: null, pollTimer: null };
+      feeds.set(key, feed);
+      connectWs();
+      attach(feed);
+    }
+    feed.listeners.add(listener);
+    return () => {
+      feed.listeners.delete(listener);
+      if (!feed.listeners.size && feeds.get(key) === feed) {
+        feeds.delete(key);
+        detach(feed);
+      }
+    };
+  }
+
+  // Resolve when check(head) returns a non-undefined value; check also runs once immediately.
+  // A check that throws (a flaky upstream read) is logged and tried again on the next head;
+  // only the timeout or an abort of signal ends the wait with an error.
+  function waitFor(check, { timeoutMs = 60_000, onHead, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      let done = false;
+      let unsubscribe = () => {};
+      const finish = (fn, value) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        unsubscribe();
+        signal?.removeEventListener('abort', onAbort);
+        fn(value);
+      };
+      const timer = setTimeout(() => finish(reject, Object.assign(new Error(`Timed out after ${timeoutMs} ms`), { waitTimeout: true })), timeoutMs);
+      const onAbort = () => finish(reject, signal.reason);
+      if (signal?.aborted) return onAbort();
+      signal?.addEventListener('abort', onAbort);
+      let running = Promise.resolve();
+      const run = head => {
+        // Serialize checks so a slow check never overlaps the next head
+        running = running.then(async () => {
+          if (done) return;
+          try {
+            const value = await check(head);
+            if (value !== undefined) finish(resolve, value);
+            else if (head && onHead) onHead(head);
+          } catch (err) {
+            console.warn('[chainWatcher] wait check failed, retrying on the next head:', err?.message || err);
+          }
+        });
+      };
+      unsubscribe = subscribe('newHeads', null, run);
+      run(null);
+    });
+  }
+
+  function stop() {
+    stopped = true;
+    for (const feed of feeds.values()) detach(feed);
+    feeds.clear();
+    if (ws) ws.close();
+  }
+
+  function status() {
+    return {
+      source: wsUrl ? (wsReady ? 'websocket' : 'polling (websocket reconnecting)') : 'polling',
+      feeds: [...feeds.values()].map(f => ({
+        kind: f.kind,
+        filter: f.filter,
+        listeners: f.listeners.size,
+        via: f.wsSubId ? 'eth_subscribe' : 'eth_getFilterChanges',
+        upstream: f.wsSubId ? null : f.filterUpstream,
+        // Last time the filter's upstream failed; events between then and the new filter were missed
+        lastFailure: f.lastFailure
+      }))
+    };
+  }
+
+  return { subscribe, waitFor, stop, status };
+}
+
+module.exports = { createChainWatcher, SUBSCRIPTION_KINDS: KINDS };
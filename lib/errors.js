@@ -0,0 +1,107 @@
+// lib/errors.js - typed errors and their mapping to MCP tool results
+//
+// Every tool failure is reduced to one class: validation, timeout, upstream_unavailable,
+// upstream_http, execution_reverted, method_not_enabled, proof_mismatch, geth_error or internal. tools/call
+// reports it as an MCP result with isError: true (the transport worked, the tool did not) whose
+// text carries the class, Geth's code/message/data (plus any details the caller adds, such as a
+// decoded revert reason) and a hint that tells the agent what to do next. The same class labels
+// mcp_tool_errors_total.
+
+// Bad tool arguments detected by a tool or library (JSON-RPC "invalid params")
+class InvalidParamsError extends Error {
+  constructor(message, data) {
+    super(message);
+    this.name = 'InvalidParamsError';
+    this.code = -32602;
+    if (data !== undefined) this.data = data;
+  }
+}
+
+// JSON-RPC error answered by Geth; code and data are kept verbatim (data holds revert payloads)
+class GethRpcError extends Error {
+  constructor(method, error = {}) {
+    super(`Geth error: ${error.message}`);
+    this.name = 'GethRpcError';
+    this.method = method;
+    this.code = error.code;
+    this.data = error.data;
+    this.rpcMessage = error.message;
+  }
+}
+
+const METHOD_NOT_ENABLED = /method .*(does not exist|is not available|not found|not supported)|namespace .* (disabled|not enabled)/i;
+const REVERTED = /revert/i;
+
+function errorClass(err) {
+  if (err?.name === 'ZodError' || err?.name === 'InvalidParamsError' || err?.name === 'ResourceNotFoundError') return 'validation';
+  if (err?.name === 'ProofVerificationError') return 'proof_mismatch';
+  if (err?.timeout) return 'timeout'; // UpstreamError timeouts and tool-level waits
+  if (err?.name === 'UpstreamError') return err.status ? 'upstream_http' : 'upstream_unavailable';
+  if (err?.name === 'GethRpcError') {
+    if (err.code === -32601 || METHOD_NOT_ENABLED.test(err.rpcMessage || '')) return 'method_not_enabled';
+    if (err.code === 3 || REVERTED.test(err.rpcMessage || '')) return 'execution_reverted';
+    if (err.code === -32602) return 'validation';
+    return 'geth_error';
+  }
+  if (typeof err?.code === 'string' && /^(INVALID_ARGUMENT|MISSING_ARGUMENT|UNEXPECTED_ARGUMENT|NUMERIC_FAULT)$/.test(err.code)) return 'validation'; // ethers
+  if (/Missing GETH_URL/.test(err?.message || '')) return 'upstream_unavailable';
+  return 'internal';
+}
+
+const RETRYABLE = new Set(['timeout', 'upstream_unavailable']);
+const isRetryable = (kind, err) => RETRYABLE.has(kind) || (kind === 'upstream_http' && (err.status >= 500 || err.status === 429));
+
+function hintFor(kind, err) {
+  switch (kind) {
+    case 'validation':
+      return 'Fix the arguments named in the message and call the tool again; tools/list shows the input schema.';
+    case 'timeout':
+      return 'The node did not answer in time. Retry, or ask for less work (a smaller block range, fewer blocks, a lighter tracer, a longer timeoutMs).';
+    case 'upstream_unavailable':
+      return 'No Geth upstream is reachable right now. Retry shortly; GET /readyz shows whether the node is up and synced.';
+    case 'upstream_http':
+      return err?.status >= 500 || err?.status === 429
+        ? 'The upstream (or a gateway in front of it) is overloaded or failing. Retry shortly.'
+        : 'The upstream refused the proxy\'s request (bad credentials, quota or request size). Retrying will not help; the operator has to fix the upstream configuration.';
+    case 'execution_reverted':
+      return 'The EVM reverted. Check the revert reason, sender, value and arguments; pass the contract ABI or custom error signatures to decode custom errors.';
+    case 'method_not_enabled': {
+      const namespace = String(err?.method || '').split('_')[0];
+      return `The node does not expose ${err?.method || 'this method'}. Enable the "${namespace || 'required'}" API on the node (--http.api / --ws.api) or use another tool.`;
+    }
+    case 'proof_mismatch':
+      return 'The node returned state that does not match its own state root. Do not trust this answer; retry against another upstream.';
+    case 'geth_error':
+      return 'Geth rejected the request. Check the arguments against what the method expects.';
+    default:
+      return 'Unexpected error inside the proxy; retrying is unlikely to help.';
+  }
+}
+
+// Readable message; Zod's own message is a JSON dump of its issues
+function describeError(err) {
+  if (err?.name === 'ZodError') {
+    return 'Invalid arguments: ' + err.issues.map(i => `${i.path.join('.') || '(arguments)'}: ${i.message}`).join('; ');
+  }
+  return err?.message || String(err);
+}
+
+// { isError: true, content } tool result for a failed call; `details` are merged into the error object
+function toolErrorResult(err, details = {}) {
+  const kind = errorClass(err);
+  const error = { class: kind, message: describeError(err), retryable: isRetryable(kind, err) };
+  if (err?.name === 'ZodError') error.issues = err.issues.map(i => ({ path: i.path.join('.'), message: i.message }));
+  if (err?.name === 'GethRpcError') {
+    error.method = err.method;
+    error.code = err.code;
+    if (err.data !== undefined) error.data = err.data;
+  } else if (err?.name === 'InvalidParamsError' && err.data !== undefined) {
+    error.data = err.data;
+  }
+  if (err?.name === 'UpstreamError' && err.status) error.httpStatus = err.status;
+  Object.assign(error, details);
+  error.hint = hintFor(kind, err);
+  return { isError: true, content: [{ type: 'text', text: JSON.stringify({ error }) }] };
+}
+
+module.exports = { InvalidParamsError, GethRpcError, errorClass, describeError, toolErrorResult };
@@ -0,0 +1,177 @@
+// lib/feeMarket.js - EIP-1559 fee suggestions and transaction cost estimates from eth_feeHistory
+//
+// Priority fees come from the reward percentiles of recent blocks (slow/standard/fast = 10th/50th/
+// 90th, median across non-empty blocks); eth_maxPriorityFeePerGas is reported alongside and used
+// when every block in the window was empty. maxFeePerGas leaves room for the base fee to rise for
+// a tier-specific number of full blocks (+12.5% each) on top of the next block's base fee.
+// Blob base fees are included when the node returns baseFeePerBlobGas (Cancun and later).
+
+const { formatEther, formatUnits } = require('ethers');
+const { InvalidParamsError } = require('./errors');
+const { toBig, toQuantity } = require('./hex');
+
+const TIERS = [
+  { name: 'slow', percentile: 10, headroomBlocks: 1 },
+  { name: 'standard', percentile: 50, headroomBlocks: 3 },
+  { name: 'fast', percentile: 90, headroomBlocks: 6 }
+];
+const GAS_PER_BLOB = 131072n;
+const MAX_HISTORY_BLOCKS = 1024;
+
+const gwei = wei => formatUnits(wei, 'gwei');
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+// Base fee after `blocks` consecutive full blocks (the protocol's maximum increase per block)
+function withHeadroom(baseFee, blocks) {
+  let fee = baseFee;
+  for (let i = 0; i < blocks; i++) fee = fee + fee / 8n;
+  return fee;
+}
+
+// Summary of a base fee series: last value is the next block's fee as returned by eth_feeHistory
+function trendOf(series) {
+  const mined = series.slice(0, -1);
+  const next = series[series.length - 1];
+  const first = mined[0] ?? next;
+  const total = mined.reduce((sum, v) => sum + v, 0n);
+  const average = mined.length ? total / BigInt(mined.length) : next;
+  const changePercent = first === 0n ? 0 : Number(((next - first) * 10000n) / first) / 100;
+  return {
+    direction: changePercent > 5 ? 'rising' : changePercent < -5 ? 'falling' : 'stable',
+    changePercent,
+    next,
+    min: mined.length ? mined.reduce((a, b) => (b < a ? b : a)) : next,
+    max: mined.length ? mined.reduce((a, b) => (b > a ? b : a)) : next,
+    average
+  };
+}
+
+const trendJson = ({ direction, changePercent, next, min, max, average }) => ({
+  direction,
+  changePercent,
+  nextWei: next.toString(),
+  nextGwei: gwei(next),
+  minGwei: gwei(min),
+  maxGwei: gwei(max),
+  averageGwei: gwei(average)
+});
+
+function createFeeMarket({ rpc }) {
+  async function nodePriorityFee() {
+    try {
+      return toBig(await rpc('eth_maxPriorityFeePerGas', []));
+    } catch (_) {
+      return null; // Not every client implements it
+    }
+  }
+
+  // Returns BigInt-valued suggestions for internal use; see suggest() for the JSON shape
+  async function compute({ blocks = 20 } = {}) {
+    const count = Math.min(Math.max(1, Math.floor(blocks)), MAX_HISTORY_BLOCKS);
+    const [history, nodeTip] = await Promise.all([
+      rpc('eth_feeHistory', [toQuantity(count), 'latest', TIERS.map(t => t.percentile)]),
+      nodePriorityFee()
+    ]);
+    if (!history || !Array.isArray(history.baseFeePerGas) || !history.baseFeePerGas.length) {
+      throw new InvalidParamsError('eth_feeHistory returned no base fees: this chain has no EIP-1559 fee market (pre-London?); use eth_gasPrice');
+    }
+    const baseFees = history.baseFeePerGas.map(BigInt);
+    const nextBaseFee = baseFees[baseFees.length - 1];
+    const ratios = history.gasUsedRatio || [];
+    const rewards = (history.reward || []).filter((_, i) => ratios[i] > 0); // Empty blocks report zero rewards
+
+    let previous = 0n;
+    const tiers = TIERS.map((tier, index) => {
+      let priority = median(rewards.map(r => toBig(r[index])).filter(v => v !== null));
+      if (priority === null) priority = nodeTip ?? 0n;
+      if (priority < previous) priority = previous; // Keep slow <= standard <= fast
+      previous = priority;
+      return { ...tier, maxPriorityFeePerGas: priority, maxFeePerGas: withHeadroom(nextBaseFee, tier.headroomBlocks) + priority };
+    });
+
+    let blob = null;
+    if (Array.isArray(history.baseFeePerBlobGas) && history.baseFeePerBlobGas.length) {
+      blob = { trend: trendOf(history.baseFeePerBlobGas.map(BigInt)), usedRatio: history.blobGasUsedRatio || [] };
+    }
+    return {
+      oldestBlock: Number(BigInt(history.oldestBlock)),
+      blocks: ratios.length,
+      nonEmptyBlocks: rewards.length,
+      nextBaseFee,
+      nodeTip,
+      tiers,
+      trend: trendOf(baseFees),
+      gasUsedRatio: ratios,
+      blob
+    };
+  }
+
+  async function suggest(options = {}) {
+    const fees = await compute(options);
+    const averageUsed = fees.gasUsedRatio.length ? fees.gasUsedRatio.reduce((a, b) => a + b, 0) / fees.gasUsedRatio.length : null;
+    return {
+      oldestBlock: fees.oldestBlock,
+      newestBlock: fees.oldestBlock + fees.blocks - 1,
+      blocksSampled: fees.blocks,
+      nonEmptyBlocks: fees.nonEmptyBlocks,
+      baseFee: { ...trendJson(fees.trend), averageGasUsedRatio: averageUsed === null ? null : Math.round(averageUsed * 1000) / 1000 },
+      suggestions: Object.fromEntries(fees.tiers.map(t => [t.name, {
+        rewardPercentile: t.percentile,
+        baseFeeHeadroomBlocks: t.headroomBlocks,
+        maxPriorityFeePerGasWei: t.maxPriorityFeePerGas.toString(),
+        maxPriorityFeePerGasGwei: gwei(t.maxPriorityFeePerGas),
+        maxFeePerGasWei: t.maxFeePerGas.toString(),
+        maxFeePerGasGwei: gwei(t.maxFeePerGas)
+      }])),
+      nodeMaxPriorityFeePerGas: fees.nodeTip === null ? null : { wei: fees.nodeTip.toString(), gwei: gwei(fees.nodeTip) },
+      blobBaseFee: fees.blob ? { supported: true, ...trendJson(fees.blob.trend) } : { supported: false }
+    };
+  }
+
+  // eth_estimateGas + fee suggestions -> cost per tier: expected (next base fee + tip) and worst case (maxFeePerGas)
+  async function estimateCost(tx, { blocks, blobs = 0 } = {}) {
+    const [gasHex, fees] = await Promise.all([rpc('eth_estimateGas', [tx]), compute({ blocks })]);
+    const gas = BigInt(gasHex);
+    const value = tx.value ? BigInt(tx.value) : 0n;
+    const blobGas = BigInt(blobs) * GAS_PER_BLOB;
+    if (blobGas > 0n && !fees.blob) throw new InvalidParamsError('The node reports no blob base fee; blob transactions are not supported on this chain');
+
+    const amount = wei => ({ wei: wei.toString(), ether: formatEther(wei) });
+    const costs = fees.tiers.map(t => {
+      const blobBase = fees.blob ? fees.blob.trend.next : 0n;
+      return {
+        tier: t,
+        expected: gas * (fees.nextBaseFee + t.maxPriorityFeePerGas) + blobGas * blobBase,
+        max: gas * t.maxFeePerGas + blobGas * withHeadroom(blobBase, t.headroomBlocks)
+      };
+    });
+    const tiers = Object.fromEntries(costs.map(({ tier, expected, max }) => [tier.name, {
+      maxFeePerGasGwei: gwei(tier.maxFeePerGas),
+      maxPriorityFeePerGasGwei: gwei(tier.maxPriorityFeePerGas),
+      expectedFee: amount(expected),
+      maxFee: amount(max),
+      ...(value > 0n ? { expectedTotal: amount(expected + value), maxTotal: amount(max + value) } : {})
+    }]));
+    const low = costs[0].expected;
+    const high = costs[costs.length - 1].max;
+    return {
+      gasLimit: gas.toString(),
+      ...(blobGas > 0n ? { blobGas: blobGas.toString(), blobBaseFeeGwei: gwei(fees.blob.trend.next) } : {}),
+      baseFeeGwei: gwei(fees.nextBaseFee),
+      baseFeeTrend: fees.trend.direction,
+      value: amount(value),
+      feeRange: { min: amount(low), max: amount(high) },
+      totalRange: { min: amount(low + value), max: amount(high + value) },
+      tiers
+    };
+  }
+
+  return { suggest, estimateCost };
+}
+
+module.exports = { createFeeMarket };
@@ -0,0 +1,24 @@
+// lib/hex.js - JSON-RPC quantity conversions shared by the tools and lib modules
+//
+// Geth encodes numbers as 0x-prefixed hex "quantities"; tool arguments accept decimal too.
+
+// Decimal string/number -> 0x quantity; hex, block tags and undefined pass through unchanged
+const toQuantity = v => (typeof v === 'number' || typeof v === 'bigint' || /^\d+$/.test(v) ? '0x' + BigInt(v).toString(16) : v);
+
+// Quantity -> BigInt / Number; null for a missing field
+const toBig = hex => (hex === undefined || hex === null ? null : BigInt(hex));
+const toNumber = hex => (hex === undefined || hex === null ? null : Number(BigInt(hex)));
+
+// Decimal string of a hex quantity; null for anything that is not one
+function hexToDecimalMaybe(hex) {
+  if (typeof hex === 'string' && /^0x[0-9a-fA-F]+$/.test(hex)) {
+    try {
+      return BigInt(hex).toString();
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+module.exports = { toQuantity, toBig, toNumber, hexToDecimalMaybe };
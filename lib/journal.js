@@ -0,0 +1,147 @@
+// lib/journal.js - record/replay of upstream traffic per tools/call (JOURNAL_MODE, JOURNAL_FILE)
+//
+// record: every tools/call is appended to a JSONL journal with its arguments, caller, timing,
+// outcome and each upstream JSON-RPC exchange it caused (captured at the pool's fetch layer, so
+// retries, failover and batches are visible as they happened). The file doubles as an audit trail.
+//
+// replay: the upstream pool's fetch is served from a journal instead of a node. Requests are
+// matched by method + params (ids ignored); repeated requests get the recorded responses in
+// order, then the last one again. A request the journal never saw fails with REPLAY_MISS_CODE.
+
+const fs = require('node:fs');
+const { labelFor } = require('./upstreams');
+
+const REPLAY_URL = 'replay://journal';
+const REPLAY_MISS_CODE = -32098;
+
+const requestKey = ({ method, params }) => JSON.stringify([method, params ?? []]);
+
+// Credentials in upstream URLs must never end up in the journal (fetch errors quote the URL too).
+// Exchanges name the upstream by its pool label, which also hashes away path keys (/v3/<key>).
+const CREDENTIALS_IN_URL = /\/\/[^/\s:@"]+:[^/\s@"]+@/g;
+
+function jsonResponse(body) {
+  return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+function createJournal({ mode, file, getContext = () => undefined } = {}) {
+  const normalized = String(mode || '').toLowerCase();
+  if (normalized && normalized !== 'record' && normalized !== 'replay') {
+    throw new Error(`JOURNAL_MODE must be "record" or "replay", got "${mode}"`);
+  }
+  const recording = normalized === 'record';
+  const replaying = normalized === 'replay';
+  let stream = null;
+  let written = 0;
+  const recorded = new Map(); // replay: request key -> { responses, next }
+  let served = 0;
+  let misses = 0;
+
+  if (recording) {
+    stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', err => console.error('[journal] write failed:', err?.message || err));
+  }
+
+  if (replaying) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      let entry;
+      try { entry = JSON.parse(line); } catch {
+        console.warn(`[journal] ${file}:${index + 1} is not valid JSON; skipped`);
+        return;
+      }
+      for (const exchange of entry.upstream || []) {
+        if (!exchange.response) continue; // Transport failures have nothing to replay
+        const requests = Array.isArray(exchange.request) ? exchange.request : [exchange.request];
+        const responses = Array.isArray(exchange.response) ? exchange.response : [exchange.response];
+        for (const request of requests) {
+          const response = responses.find(r => r && r.id === request.id);
+          if (!response) continue;
+          const key = requestKey(request);
+          if (!recorded.has(key)) recorded.set(key, { responses: [], next: 0 });
+          recorded.get(key).responses.push({ result: response.result, error: response.error });
+        }
+      }
+    });
+    console.log(`[journal] Replaying ${recorded.size} distinct upstream request(s) from ${file}`);
+  }
+
+  function replayOne(request) {
+    const slot = recorded.get(requestKey(request));
+    if (!slot) {
+      misses += 1;
+      console.warn('[journal] replay miss:', request.method, JSON.stringify(request.params ?? []));
+      return { jsonrpc: '2.0', id: request.id, error: { code: REPLAY_MISS_CODE, message: `Replay journal has no response for ${request.method} ${JSON.stringify(request.params ?? [])}`, data: { replay: 'unseen_request' } } };
+    }
+    const reply = slot.responses[Math.min(slot.next, slot.responses.length - 1)];
+    slot.next += 1;
+    served += 1;
+    return reply.error ? { jsonrpc: '2.0', id: request.id, error: reply.error } : { jsonrpc: '2.0', id: request.id, result: reply.result };
+  }
+
+  // Drop-in for the upstream pool's fetch
+  async function fetchImpl(url, init) {
+    if (replaying) {
+      const body = JSON.parse(init.body);
+      return jsonResponse(Array.isArray(body) ? body.map(replayOne) : replayOne(body));
+    }
+    if (!recording) return fetch(url, init);
+    const sink = getContext()?.journal;
+    const started = Date.now();
+    const exchange = { upstream: labelFor(url), request: JSON.parse(init.body) };
+    try {
+      const res = await fetch(url, init);
+      const text = await res.text();
+      exchange.status = res.status;
+      try { exchange.response = JSON.parse(text); } catch { exchange.responseText = text.slice(0, 1000); }
+      return new Response(text, { status: res.status, statusText: res.statusText, headers: res.headers });
+    } catch (err) {
+      const failure = err?.name === 'AbortError' ? 'timeout' : err?.cause?.code || err?.message || String(err);
+      exchange.failure = String(failure).split(url).join(exchange.upstream);
+      throw err;
+    } finally {
+      exchange.ms = Date.now() - started;
+      if (sink) sink.add(exchange);
+    }
+  }
+
+  // Per-call collector for ctx.journal. Timers a call leaves behind (a subscription feed it
+  // started) keep its async context, so close() must stop the sink from growing afterwards.
+  function openSink() {
+    let exchanges = [];
+    return {
+      add(exchange) {
+        if (exchanges) exchanges.push(exchange);
+      },
+      close() {
+        const all = exchanges || [];
+        exchanges = null;
+        return all;
+      }
+    };
+  }
+
+  // Append one tools/call entry; upstream exchanges come from the call's sink
+  function recordCall(entry) {
+    if (!stream) return;
+    const line = JSON.stringify({ ts: new Date().toISOString(), type: 'tools/call', ...entry });
+    stream.write(line.replace(CREDENTIALS_IN_URL, '//') + '\n');
+    written += 1;
+  }
+
+  function close() {
+    if (stream) stream.end();
+    stream = null;
+  }
+
+  function status() {
+    if (recording) return { mode: 'record', file, entries: written };
+    if (replaying) return { mode: 'replay', file, requests: recorded.size, served, misses };
+    return { mode: 'off' };
+  }
+
+  return { recording, replaying, fetchImpl, openSink, recordCall, close, status };
+}
+
+module.exports = { createJournal, REPLAY_URL, REPLAY_MISS_CODE };
@@ -0,0 +1,164 @@
+// lib/logsPager.js - eth_getLogs over large ranges: adaptive block windows + opaque cursors
+//
+// The requested range is resolved to concrete block numbers once, then scanned in windows.
+// A window is halved when the node reports too many results (or times out) and doubled while
+// results stay sparse. A page ends at maxResults logs or when the time budget is spent; the
+// returned cursor carries the filter, the frozen range and the resume position, so a client
+// only has to pass the cursor back to continue. Cursors are HMAC-signed with a per-process key
+// (or cursorSecret, for several proxies behind one balancer) so a client cannot widen the range
+// or window of a page it was charged for.
+
+const crypto = require('node:crypto');
+const { InvalidParamsError } = require('./errors');
+const { toQuantity } = require('./hex');
+
+const CURSOR_VERSION = 1;
+
+// Errors various nodes return when a log query is too large for them
+const TOO_MANY_RESULTS = /more than \d+ results|too many (results|logs)|limit exceeded|response size|range (is )?too (large|wide)|exceed(s|ed)? .*(range|limit)|query timeout|timed out/i;
+
+// Unverified cursor payload ("<payload>.<mac>"); null when it does not parse. Enough to price a
+// page before it runs - fetchPage() rejects the cursor anyway if the signature does not match.
+function readCursor(cursor) {
+  try {
+    const state = JSON.parse(Buffer.from(String(cursor).split('.')[0], 'base64url').toString('utf8'));
+    return state && typeof state === 'object' ? state : null;
+  } catch {
+    return null;
+  }
+}
+
+function isTooManyResults(err) {
+  return err?.timeout === true || err?.code === -32005 || TOO_MANY_RESULTS.test(err?.message || '');
+}
+
+function createLogsPager(options = {}) {
+  const {
+    rpc, // async (method, params, opts) => result
+    initialWindow = 2000,
+    maxWindow = 100_000,
+    defaultMaxResults = 1000,
+    maxResultsCap = 10_000,
+    timeBudgetMs = 6000,
+    targetPerWindow = 500 // Grow the window while a window returns fewer logs than this
+  } = options;
+  const cursorKey = options.cursorSecret ? Buffer.from(String(options.cursorSecret)) : crypto.randomBytes(32);
+  const sign = payload => crypto.createHmac('sha256', cursorKey).update(payload).digest('base64url');
+
+  function encodeCursor(state) {
+    const payload = Buffer.from(JSON.stringify({ v: CURSOR_VERSION, ...state })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+  }
+
+  function decodeCursor(cursor) {
+    const [payload, mac = ''] = String(cursor).split('.');
+    const expected = sign(payload);
+    if (mac.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(expected))) {
+      throw new InvalidParamsError('Invalid cursor, or issued by another proxy instance or before a restart');
+    }
+    const state = readCursor(cursor);
+    if (!state || state.v !== CURSOR_VERSION || !Number.isSafeInteger(state.next) || !Number.isSafeInteger(state.to)) {
+      throw new InvalidParamsError('Invalid or outdated cursor');
+    }
+    return state;
+  }
+
+  async function resolveBlock(ref, fallback) {
+    const value = ref ?? fallback;
+    if (typeof value === 'number') return value;
+    if (value === 'earliest') return 0;
+    if (/^0x[0-9a-fA-F]+$/.test(value)) return Number(BigInt(value));
+    if (/^\d+$/.test(value)) return Number(value);
+    if (value === 'latest' || value === 'pending') return Number(BigInt(await rpc('eth_blockNumber', [])));
+    if (value === 'safe' || value === 'finalized') {
+      const block = await rpc('eth_getBlockByNumber', [value, false]);
+      if (!block) throw new InvalidParamsError(`Node has no "${value}" block`);
+      return Number(BigInt(block.number));
+    }
+    throw new InvalidParamsError(`Unsupported block reference: ${value}`);
+  }
+
+  // One page of logs. args: { address, topics, fromBlock, toBlock, blockHash, maxResults, cursor }
+  async function fetchPage(args = {}) {
+    const maxResults = Math.min(Math.max(1, args.maxResults || defaultMaxResults), maxResultsCap);
+
+    // Single-block queries by hash need no chunking
+    if (args.blockHash && !args.cursor) {
+      const logs = await rpc('eth_getLogs', [{ address: args.address, topics: args.topics, blockHash: args.blockHash }]);
+      return { logs: logs.slice(0, maxResults), count: Math.min(logs.length, maxResults), complete: logs.length <= maxResults, truncated: logs.length > maxResults, cursor: null };
+    }
+
+    let state;
+    if (args.cursor) {
+      state = decodeCursor(args.cursor);
+    } else {
+      const from = await resolveBlock(args.fromBlock, 'earliest');
+      const to = await resolveBlock(args.toBlock, 'latest');
+      if (from > to) throw new InvalidParamsError(`fromBlock (${from}) is after toBlock (${to})`);
+      state = { filter: { address: args.address, topics: args.topics }, from, next: from, to, skip: 0, window: initialWindow };
+    }
+
+    const started = Date.now();
+    const deadline = started + timeBudgetMs;
+    const logs = [];
+    let window = Math.min(state.window || initialWindow, maxWindow);
+    let next = state.next;
+    let skip = state.skip || 0; // Logs of block `next` already returned by an earlier page
+    let windows = 0;
+    let shrinks = 0;
+
+    while (next <= state.to && logs.length < maxResults) {
+      // Also stops a run of timed-out windows; the cursor keeps the smaller window for the next page
+      if ((windows > 0 || shrinks > 0) && Date.now() > deadline) break;
+      const end = Math.min(next + window - 1, state.to);
+      let chunk;
+      try {
+        // A timeout means "window too wide" here, not "node down"; a window only gets what is left
+        // of the page's budget, so a stalled node cannot hold the page past it
+        const timeoutMs = Math.max(1, deadline - Date.now());
+        chunk = await rpc('eth_getLogs', [{ ...state.filter, fromBlock: toQuantity(next), toBlock: toQuantity(end) }], { retry: false, timeoutIsFailure: false, timeoutMs });
+      } catch (err) {
+        if (!isTooManyResults(err)) throw err;
+        if (window === 1) throw new InvalidParamsError(`Block ${next} alone exceeds the node's log limit; narrow the address/topics filter: ${err.message}`);
+        window = Math.max(1, Math.floor(window / 2));
+        shrinks += 1;
+        continue;
+      }
+      windows += 1;
+
+      const fresh = skip ? chunk.filter((log, i) => Number(BigInt(log.blockNumber)) !== next || i >= skip) : chunk;
+      const room = maxResults - logs.length;
+      if (fresh.length > room) {
+        // Page is full mid-window: resume at the first log not returned
+        const taken = fresh.slice(0, room);
+        logs.push(...taken);
+        const resumeBlock = Number(BigInt(fresh[room].blockNumber));
+        const alreadyFromResumeBlock = taken.filter(l => Number(BigInt(l.blockNumber)) === resumeBlock).length;
+        skip = (resumeBlock === next ? skip : 0) + alreadyFromResumeBlock;
+        next = resumeBlock;
+        break;
+      }
+      logs.push(...fresh);
+      next = end + 1;
+      skip = 0;
+
+      if (chunk.length < targetPerWindow / 4) window = Math.min(maxWindow, window * 2);
+      else if (chunk.length > targetPerWindow * 2) window = Math.max(1, Math.floor(window / 2));
+    }
+
+    const complete = next > state.to;
+    return {
+      logs,
+      count: logs.length,
+      fromBlock: state.from ?? null,
+      toBlock: state.to,
+      scannedThrough: complete ? state.to : next - 1,
+      complete,
+      cursor: complete ? null : encodeCursor({ filter: state.filter, from: state.from, next, to: state.to, skip, window })
+    };
+  }
+
+  return { fetchPage };
+}
+
+module.exports = { createLogsPager, isTooManyResults, readCursor };
@@ -0,0 +1,116 @@
+// lib/metrics.js - minimal Prometheus registry (counters, gauges, histograms) with text exposition
+//
+// Gauges that mirror state owned elsewhere (upstream block heights, cache size) are filled by
+// collectors registered with onCollect(), which run right before each scrape.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map(n => (labels[n] === undefined ? '' : String(labels[n]))).join('\u0000');
+}
+
+function renderLabels(labelNames, key, extra = '') {
+  const values = key.split('\u0000');
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isNaN(v) ? 'NaN' : String(v);
+}
+
+function createMetrics() {
+  const families = [];
+  const collectors = [];
+
+  function family(type, name, help, labelNames) {
+    const f = { type, name, help, labelNames, series: new Map() };
+    families.push(f);
+    return f;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const f = family('counter', name, help, labelNames);
+    return {
+      inc(labels, value = 1) {
+        const key = labelKey(labelNames, labels);
+        f.series.set(key, (f.series.get(key) || 0) + value);
+      },
+      // Mirror a monotonically increasing total that is counted elsewhere (collectors only)
+      set(labels, value) { f.series.set(labelKey(labelNames, labels), value); }
+    };
+  }
+
+  function gauge(name, help, labelNames = []) {
+    const f = family('gauge', name, help, labelNames);
+    return {
+      set(labels, value) { f.series.set(labelKey(labelNames, labels), value); },
+      inc(labels, value = 1) {
+        const key = labelKey(labelNames, labels);
+        f.series.set(key, (f.series.get(key) || 0) + value);
+      },
+      dec(labels, value = 1) {
+        const key = labelKey(labelNames, labels);
+        f.series.set(key, (f.series.get(key) || 0) - value);
+      },
+      reset() { f.series.clear(); }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const f = family('histogram', name, help, labelNames);
+    f.buckets = buckets;
+    return {
+      observe(labels, value) {
+        const key = labelKey(labelNames, labels);
+        let s = f.series.get(key);
+        if (!s) {
+          s = { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+          f.series.set(key, s);
+        }
+        for (let i = 0; i < buckets.length; i++) if (value <= buckets[i]) s.counts[i] += 1;
+        s.sum += value;
+        s.count += 1;
+      }
+    };
+  }
+
+  function onCollect(fn) {
+    collectors.push(fn);
+  }
+
+  function render() {
+    for (const fn of collectors) {
+      try { fn(); } catch (e) { console.warn('[metrics] collector failed:', e?.message || e); }
+    }
+    const lines = [];
+    for (const f of families) {
+      lines.push(`# HELP ${f.name} ${f.help}`);
+      lines.push(`# TYPE ${f.name} ${f.type}`);
+      for (const [key, value] of f.series) {
+        if (f.type !== 'histogram') {
+          lines.push(`${f.name}${renderLabels(f.labelNames, key)} ${formatValue(value)}`);
+          continue;
+        }
+        f.buckets.forEach((le, i) => {
+          lines.push(`${f.name}_bucket${renderLabels(f.labelNames, key, `le="${le}"`)} ${value.counts[i]}`);
+        });
+        lines.push(`${f.name}_bucket${renderLabels(f.labelNames, key, 'le="+Inf"')} ${value.count}`);
+        lines.push(`${f.name}_sum${renderLabels(f.labelNames, key)} ${value.sum}`);
+        lines.push(`${f.name}_count${renderLabels(f.labelNames, key)} ${value.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, onCollect, render };
+}
+
+module.exports = { createMetrics, CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8' };
@@ -0,0 +1,185 @@
+// lib/nodeHealth.js - readiness probe and scored health report for the upstream Geth node
+//
+// readiness(): cheap checks for /readyz - the node answers, is not syncing, has enough peers
+// (net_peerCount) and its head block is recent by wall-clock time. Probes are sent once with a
+// short timeout, and the result is shared for readyCacheMs so frequent or concurrent probes
+// from orchestrators reach the node at most once per interval.
+//
+// report(): the admin_nodeHealth tool - eth_syncing, admin_peers, admin_nodeInfo, txpool_status
+// and debug_metrics gathered in parallel into { score, status, warnings, ... }. Each problem
+// subtracts a fixed penalty from 100; methods the node does not expose (e.g. admin namespace
+// disabled) are listed under `unavailable` and do not cost points. Peers fall back to
+// net_peerCount when neither admin_peers nor debug_metrics answers; a node with no peer source
+// at all is charged peers_unknown, so a locked-down node cannot score 100 with zero peers.
+
+const { toNumber } = require('./hex');
+
+const PENALTIES = {
+  unreachable: 100,
+  syncing: 40,
+  no_peers: 40,
+  low_peers: 15,
+  peers_unknown: 15,
+  head_stale: 30,
+  head_very_stale: 50,
+  txpool_queued_backlog: 10,
+  txpool_pending_backlog: 10
+};
+
+function formatAge(seconds) {
+  if (seconds < 120) return `${seconds} seconds`;
+  if (seconds < 7200) return `${Math.round(seconds / 60)} minutes`;
+  return `${Math.round(seconds / 3600)} hours`;
+}
+
+// Geth's debug_metrics is a flat map of "a/b/c" names; values are numbers or { Value | Count | ... }
+function metricValue(metrics, name) {
+  if (!metrics || typeof metrics !== 'object') return null;
+  let value = metrics[name];
+  if (value === undefined) value = name.split('/').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), metrics);
+  if (value && typeof value === 'object') value = value.Value ?? value.Count ?? value.value ?? value.count;
+  return typeof value === 'number' ? value : null;
+}
+
+function syncProgress(syncing) {
+  const current = toNumber(syncing.currentBlock);
+  const highest = toNumber(syncing.highestBlock);
+  return {
+    currentBlock: current,
+    highestBlock: highest,
+    remainingBlocks: current !== null && highest !== null ? Math.max(0, highest - current) : null,
+    percent: current !== null && highest ? Math.round((current / highest) * 10000) / 100 : null
+  };
+}
+
+function createNodeHealth({ rpc, maxHeadAgeSec = 60, minPeers = 1, queuedBacklog = 1000, pendingBacklog = 5000, probeTimeoutMs = 2000, readyCacheMs = 2000, now = () => Date.now() }) {
+  let lastProbe = null; // { at, promise } of the latest readiness probe
+  function headAgeOf(block) {
+    const timestamp = toNumber(block?.timestamp);
+    return timestamp === null ? null : Math.max(0, Math.round(now() / 1000 - timestamp));
+  }
+
+  // Cheap probe for load balancers / orchestrators: { ready, checks: { name: { ok, ... } }, checkedAt }
+  function readiness() {
+    if (!lastProbe || now() - lastProbe.at >= readyCacheMs) lastProbe = { at: now(), promise: probe() };
+    return lastProbe.promise;
+  }
+
+  async function probe() {
+    const options = { retry: false, timeoutMs: probeTimeoutMs };
+    const checkedAt = new Date(now()).toISOString();
+    const [syncing, head, peers] = await Promise.allSettled([
+      rpc('eth_syncing', [], options),
+      rpc('eth_getBlockByNumber', ['latest', false], options),
+      rpc('net_peerCount', [], options)
+    ]);
+    const checks = {};
+    const reachable = syncing.status === 'fulfilled' || head.status === 'fulfilled';
+    checks.reachable = { ok: reachable, ...(reachable ? {} : { error: (syncing.reason || head.reason)?.message }) };
+    if (syncing.status === 'fulfilled') {
+      checks.synced = { ok: syncing.value === false, ...(syncing.value ? syncProgress(syncing.value) : {}) };
+    }
+    if (head.status === 'fulfilled' && head.value) {
+      const ageSec = headAgeOf(head.value);
+      checks.headAge = { ok: ageSec !== null && ageSec <= maxHeadAgeSec, block: toNumber(head.value.number), ageSec, maxAgeSec: maxHeadAgeSec };
+    }
+    if (peers.status === 'fulfilled') {
+      const count = toNumber(peers.value);
+      checks.peers = { ok: count >= minPeers, count, min: minPeers };
+    } else if (reachable) {
+      checks.peers = { ok: true, count: null, note: 'net_peerCount unavailable; not checked' };
+    }
+    return { ready: reachable && Object.values(checks).every(c => c.ok), checks, checkedAt };
+  }
+
+  // Full report for the admin_nodeHealth tool
+  async function report() {
+    const names = ['eth_syncing', 'eth_getBlockByNumber', 'admin_peers', 'admin_nodeInfo', 'txpool_status', 'debug_metrics'];
+    const params = { eth_getBlockByNumber: ['latest', false], debug_metrics: [true] };
+    const settled = await Promise.allSettled(names.map(name => rpc(name, params[name] || [])));
+    const results = {};
+    const unavailable = {};
+    names.forEach((name, i) => {
+      if (settled[i].status === 'fulfilled') results[name] = settled[i].value;
+      else unavailable[name] = settled[i].reason?.message || String(settled[i].reason);
+    });
+
+    const warnings = [];
+    const warn = (code, message, details = {}) => warnings.push({ code, severity: PENALTIES[code] >= 30 ? 'critical' : 'warning', message, ...details });
+    const checkedAt = new Date(now()).toISOString();
+
+    if (!('eth_syncing' in results) && !('eth_getBlockByNumber' in results)) {
+      warn('unreachable', `Node is unreachable: ${unavailable.eth_syncing || unavailable.eth_getBlockByNumber}`);
+      return { score: 0, status: 'unhealthy', checkedAt, warnings, unavailable };
+    }
+
+    const sync = results.eth_syncing ? { syncing: true, ...syncProgress(results.eth_syncing) } : { syncing: results.eth_syncing === false ? false : null };
+    if (sync.syncing) warn('syncing', `Node is syncing${sync.remainingBlocks !== null ? ` (${sync.remainingBlocks} blocks behind, ${sync.percent}%)` : ''}`);
+
+    const block = results.eth_getBlockByNumber;
+    const head = block ? { number: toNumber(block.number), hash: block.hash, timestamp: toNumber(block.timestamp), ageSec: headAgeOf(block) } : null;
+    if (head && head.ageSec > maxHeadAgeSec) {
+      warn(head.ageSec > maxHeadAgeSec * 5 ? 'head_very_stale' : 'head_stale', `Head block ${head.number} is ${formatAge(head.ageSec)} stale`, { ageSec: head.ageSec });
+    }
+
+    let peers = null;
+    if (Array.isArray(results.admin_peers)) {
+      const list = results.admin_peers;
+      peers = {
+        count: list.length,
+        inbound: list.filter(p => p.network?.inbound).length,
+        outbound: list.filter(p => p.network && !p.network.inbound).length,
+        clients: [...new Set(list.map(p => String(p.name || '').split('/')[0]).filter(Boolean))]
+      };
+    } else if (metricValue(results.debug_metrics, 'p2p/peers') !== null) {
+      peers = { count: metricValue(results.debug_metrics, 'p2p/peers'), source: 'debug_metrics' };
+    } else {
+      try {
+        peers = { count: toNumber(await rpc('net_peerCount', [])), source: 'net_peerCount' };
+      } catch (err) {
+        unavailable.net_peerCount = err?.message || String(err);
+        warn('peers_unknown', 'Peer count unknown: admin_peers, debug_metrics and net_peerCount are all unavailable');
+      }
+    }
+    if (peers && peers.count === 0) warn('no_peers', '0 peers');
+    else if (peers && peers.count < minPeers) warn('low_peers', `Only ${peers.count} peer(s) (expected at least ${minPeers})`);
+
+    let txpool = null;
+    if (results.txpool_status) {
+      txpool = { pending: toNumber(results.txpool_status.pending), queued: toNumber(results.txpool_status.queued) };
+      if (txpool.queued > queuedBacklog) warn('txpool_queued_backlog', `txpool queued backlog: ${txpool.queued} transactions (threshold ${queuedBacklog})`);
+      if (txpool.pending > pendingBacklog) warn('txpool_pending_backlog', `txpool pending backlog: ${txpool.pending} transactions (threshold ${pendingBacklog})`);
+    }
+
+    const info = results.admin_nodeInfo;
+    const node = info ? { name: info.name, enode: info.enode, listenAddr: info.listenAddr, networkId: info.protocols?.eth?.network ?? null } : null;
+
+    let metrics = null;
+    if (results.debug_metrics && typeof results.debug_metrics === 'object') {
+      metrics = {};
+      for (const name of ['chain/head/block', 'chain/head/header', 'p2p/peers', 'txpool/pending', 'txpool/queued', 'system/memory/used']) {
+        const value = metricValue(results.debug_metrics, name);
+        if (value !== null) metrics[name] = value;
+      }
+    }
+
+    const score = Math.max(0, 100 - warnings.reduce((sum, w) => sum + PENALTIES[w.code], 0));
+    return {
+      score,
+      status: score >= 80 ? 'healthy' : score >= 50 ? 'degraded' : 'unhealthy',
+      checkedAt,
+      warnings,
+      sync,
+      head,
+      peers,
+      txpool,
+      node,
+      metrics,
+      ...(Object.keys(unavailable).length ? { unavailable } : {})
+    };
+  }
+
+  return { readiness, report };
+}
+
+module.exports = { createNodeHealth };
@@ -0,0 +1,183 @@
+// lib/portfolio.js - ETH and ERC-20 holdings of many addresses at one block
+//
+// The block is pinned first (by hash, EIP-1898) so every balance is read from the same state.
+// Round 1 is one JSON-RPC batch: eth_getBalance and eth_getTransactionCount per address plus
+// eth_getCode of the Multicall3 contract. Round 2 reads token decimals/symbol and every
+// balanceOf: through Multicall3.aggregate3 (allowFailure, MULTICALL_CHUNK calls per eth_call)
+// when the contract is deployed, otherwise one eth_call per item in a batch. A multicall reply
+// that does not decode (something else deployed at the address) is re-read per item; if that
+// fails too, the chunk's reads are null. A token that fails (not ERC-20, reverts) is reported
+// with an error instead of failing the whole portfolio.
+
+const { Interface, formatEther, formatUnits, decodeBytes32String } = require('ethers');
+const { InvalidParamsError } = require('./errors');
+const { toQuantity } = require('./hex');
+
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11'; // Same address on most EVM chains
+const MULTICALL_CHUNK = 300;
+
+const multicall = new Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+const erc20 = new Interface([
+  'function balanceOf(address owner) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+]);
+const bytes32Symbol = new Interface(['function symbol() view returns (bytes32)']); // MKR-style tokens
+
+const ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+function decodeSymbol(data) {
+  try { return erc20.decodeFunctionResult('symbol', data)[0]; } catch (_) { /* try bytes32 */ }
+  try { return decodeBytes32String(bytes32Symbol.decodeFunctionResult('symbol', data)[0]); } catch (_) { return null; }
+}
+
+// Decoder for one call's return data; returns undefined when the data does not decode
+function decodeWith(kind, data) {
+  if (typeof data !== 'string' || data === '0x') return undefined;
+  try {
+    if (kind === 'symbol') return decodeSymbol(data) ?? undefined;
+    return erc20.decodeFunctionResult(kind, data)[0];
+  } catch (_) {
+    return undefined;
+  }
+}
+
+function createPortfolio({ rpc, batch, multicallAddress = MULTICALL3_ADDRESS }) {
+  // Resolve a block tag/number/hash to { number, hash }
+  async function pinBlock(block) {
+    const header = /^0x[0-9a-fA-F]{64}$/.test(block)
+      ? await rpc('eth_getBlockByHash', [block, false])
+      : await rpc('eth_getBlockByNumber', [toQuantity(block), false]);
+    if (!header) throw new InvalidParamsError(`Block ${block} not found`);
+    return { number: Number(BigInt(header.number)), hash: header.hash };
+  }
+
+  // One eth_call per item, in batches
+  async function readEach(items, at) {
+    const replies = await batch(items.map(item => ({ method: 'eth_call', params: [{ to: item.target, data: item.data }, at] })));
+    return replies.map(r => (r.error ? null : r.result));
+  }
+
+  // Token reads as [{ target, data, kind }] -> return data (or null) per item. report collects
+  // { fallbackCalls, errors } for multicall chunks that had to be read another way.
+  async function readCalls(items, at, viaMulticall, report) {
+    if (!viaMulticall) return readEach(items, at);
+    const chunks = [];
+    for (let i = 0; i < items.length; i += MULTICALL_CHUNK) chunks.push(items.slice(i, i + MULTICALL_CHUNK));
+    const replies = await batch(chunks.map(chunk => ({
+      method: 'eth_call',
+      params: [{ to: multicallAddress, data: multicall.encodeFunctionData('aggregate3', [chunk.map(c => ({ target: c.target, allowFailure: true, callData: c.data }))]) }, at]
+    })));
+    const out = [];
+    for (const [i, reply] of replies.entries()) {
+      if (reply.error) {
+        out.push(...chunks[i].map(() => null));
+        continue;
+      }
+      let results;
+      try {
+        [results] = multicall.decodeFunctionResult('aggregate3', reply.result);
+        if (results.length !== chunks[i].length) throw new Error(`${results.length} results for ${chunks[i].length} calls`);
+      } catch (err) {
+        try {
+          out.push(...await readEach(chunks[i], at));
+          report.fallbackCalls += chunks[i].length;
+        } catch (fallbackErr) {
+          out.push(...chunks[i].map(() => null));
+          report.errors.push(`aggregate3 reply did not decode (${err.message}) and direct reads failed: ${fallbackErr.message}`);
+        }
+        continue;
+      }
+      results.forEach(r => out.push(r.success ? r.returnData : null));
+    }
+    return out;
+  }
+
+  async function lookup({ addresses: requested, tokens: requestedTokens = [], block = 'latest', useMulticall = true }) {
+    const unique = list => [...new Map(list.map(a => [String(a).toLowerCase(), a])).values()];
+    const addresses = unique(requested);
+    const tokens = unique(requestedTokens);
+    const bad = [...addresses, ...tokens].filter(a => !ADDRESS.test(a));
+    if (bad.length) throw new InvalidParamsError(`Not a 0x-prefixed 20-byte address: ${bad.join(', ')}`);
+    const pinned = await pinBlock(String(block));
+    const at = { blockHash: pinned.hash };
+
+    const round1 = [{ method: 'eth_getCode', params: [multicallAddress, at] }];
+    for (const address of addresses) {
+      round1.push({ method: 'eth_getBalance', params: [address, at] }, { method: 'eth_getTransactionCount', params: [address, at] });
+    }
+    const probeMulticall = Boolean(multicallAddress) && useMulticall && tokens.length > 0;
+    const accountReplies = await batch(probeMulticall ? round1 : round1.slice(1));
+    const code = probeMulticall ? accountReplies.shift() : null;
+    const hasMulticall = Boolean(code && !code.error && typeof code.result === 'string' && code.result !== '0x');
+
+    const items = [];
+    for (const token of tokens) {
+      items.push({ target: token, kind: 'decimals', data: erc20.encodeFunctionData('decimals') });
+      items.push({ target: token, kind: 'symbol', data: erc20.encodeFunctionData('symbol') });
+      for (const address of addresses) items.push({ target: token, kind: 'balanceOf', owner: address, data: erc20.encodeFunctionData('balanceOf', [address]) });
+    }
+    const report = { fallbackCalls: 0, errors: [] };
+    const raw = items.length ? await readCalls(items, at, hasMulticall, report) : [];
+
+    const tokenInfo = new Map(tokens.map(t => [t.toLowerCase(), { address: t, symbol: null, decimals: null, total: 0n, failed: 0 }]));
+    const balances = new Map(); // "owner:token" -> bigint | null
+    items.forEach((item, i) => {
+      const info = tokenInfo.get(item.target.toLowerCase());
+      const value = decodeWith(item.kind, raw[i]);
+      if (item.kind === 'decimals') info.decimals = value === undefined ? null : Number(value);
+      else if (item.kind === 'symbol') info.symbol = value ?? null;
+      else {
+        balances.set(`${item.owner.toLowerCase()}:${info.address.toLowerCase()}`, value ?? null);
+        if (value === undefined) info.failed += 1;
+        else info.total += value;
+      }
+    });
+    const format = (amount, decimals) => (decimals === null ? null : formatUnits(amount, decimals));
+
+    let ethTotal = 0n;
+    const accounts = addresses.map((address, i) => {
+      const balance = accountReplies[2 * i];
+      const nonce = accountReplies[2 * i + 1];
+      const wei = balance.error ? null : BigInt(balance.result);
+      if (wei !== null) ethTotal += wei;
+      return {
+        address,
+        eth: wei === null ? { error: balance.error.message } : { raw: wei.toString(), formatted: formatEther(wei) },
+        nonce: nonce.error ? null : Number(BigInt(nonce.result)),
+        tokens: [...tokenInfo.values()].map(info => {
+          const amount = balances.get(`${address.toLowerCase()}:${info.address.toLowerCase()}`);
+          return amount === null || amount === undefined
+            ? { token: info.address, symbol: info.symbol, raw: null, formatted: null }
+            : { token: info.address, symbol: info.symbol, raw: amount.toString(), formatted: format(amount, info.decimals) };
+        })
+      };
+    });
+
+    return {
+      block: pinned,
+      multicall: {
+        address: multicallAddress || null,
+        used: hasMulticall,
+        ...(report.fallbackCalls ? { fallbackCalls: report.fallbackCalls } : {}),
+        ...(report.errors.length ? { errors: report.errors } : {})
+      },
+      rpcCalls: (probeMulticall ? round1.length : round1.length - 1) + (hasMulticall ? Math.ceil(items.length / MULTICALL_CHUNK) : items.length) + report.fallbackCalls,
+      accounts,
+      tokens: [...tokenInfo.values()].map(info => ({
+        address: info.address,
+        symbol: info.symbol,
+        decimals: info.decimals,
+        total: { raw: info.total.toString(), formatted: format(info.total, info.decimals) },
+        ...(info.failed ? { error: `balanceOf failed for ${info.failed} address(es); not an ERC-20 token at this block?` } : {})
+      })),
+      totals: { eth: { raw: ethTotal.toString(), formatted: formatEther(ethTotal) } }
+    };
+  }
+
+  return { lookup };
+}
+
+module.exports = { createPortfolio, MULTICALL3_ADDRESS };
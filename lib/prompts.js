@@ -0,0 +1,90 @@
+// lib/prompts.js - built-in MCP prompts (prompts/list, prompts/get)
+//
+// Each prompt embeds the relevant resources (read live at prompts/get time) and tells the model
+// which tools to use next, so clients that only browse prompts never need to know tool names.
+
+const { InvalidParamsError } = require('./errors');
+
+const PROMPTS = [
+  {
+    name: 'investigate_transaction',
+    description: 'Explain what a transaction did and, if it failed, why.',
+    arguments: [{ name: 'hash', description: 'Transaction hash (0x…)', required: true }],
+    resources: args => [`geth://tx/${args.hash}`],
+    text: args => [
+      `Investigate transaction ${args.hash}.`,
+      'The transaction and its receipt are attached. Explain who called what, the value moved, gas used versus the limit, and the outcome.',
+      'Use debug_investigateTransaction for the call tree, decoded revert reasons and token transfers (stateDiff: true adds balance and storage changes), and eth_decodeLogs (pass the txHash) for other events.',
+      'If the receipt is null the transaction is still pending; say so and offer eth_waitForReceipt.'
+    ]
+  },
+  {
+    name: 'summarize_node_health',
+    description: 'Summarize sync state, peers, head freshness and transaction pool of the node.',
+    arguments: [],
+    resources: () => ['geth://node/info', 'geth://block/latest'],
+    text: () => [
+      'Summarize the health of this Ethereum node.',
+      'Node info and the latest block are attached. Report whether the node is syncing, how many peers it has, and how old the head block is (compare its timestamp with the current time).',
+      'Call admin_nodeHealth for a scored report with specific warnings (peers, head age, txpool backlog); fall back to txpool_status and admin_peers when the admin scope is unavailable. Finish with a one-line verdict (healthy, degraded or unhealthy) and the reasons.'
+    ]
+  },
+  {
+    name: 'explain_block',
+    description: 'Describe a block: producer, gas usage, base fee and notable transactions.',
+    arguments: [{ name: 'block', description: 'Block number, tag or hash (default latest)', required: false }],
+    resources: args => [`geth://block/${args.block || 'latest'}`],
+    text: args => [
+      `Explain block ${args.block || 'latest'}.`,
+      'The block is attached. Describe its number, timestamp, fee recipient, gas used versus the gas limit and the base fee (in gwei).',
+      'Look up the most interesting transactions with eth_getTransactionByHash and eth_getTransactionReceipt and summarize them.'
+    ]
+  },
+  {
+    name: 'inspect_account',
+    description: 'Describe an address: balance, nonce, and whether it is a contract.',
+    arguments: [{ name: 'address', description: 'Account address (0x…)', required: true }],
+    resources: args => [`geth://account/${args.address}`],
+    text: args => [
+      `Inspect account ${args.address}.`,
+      'The account state is attached. Report the balance in ether, the nonce (transactions sent) and whether it holds contract code.',
+      'For a contract with a registered ABI (eth_listAbis), read useful view functions with eth_callFunction and recent events with eth_getEventLogs.'
+    ]
+  }
+];
+
+function createPromptCatalog({ readResource }) {
+  function list() {
+    return PROMPTS.map(({ name, description, arguments: args }) => ({ name, description, arguments: args }));
+  }
+
+  // Returns { description, messages }; throws InvalidParamsError (-32602) for unknown prompts or missing arguments
+  async function get(name, args = {}, readOptions = {}) {
+    const prompt = PROMPTS.find(p => p.name === name);
+    if (!prompt) throw new InvalidParamsError(`Unknown prompt: ${name}`);
+    const missing = prompt.arguments.filter(a => a.required && !args[a.name]).map(a => a.name);
+    if (missing.length) throw new InvalidParamsError(`Missing prompt argument(s): ${missing.join(', ')}`);
+
+    const messages = [{ role: 'user', content: { type: 'text', text: prompt.text(args).join('\n') } }];
+    for (const uri of prompt.resources(args)) {
+      try {
+        const { contents } = await readResource(uri, readOptions);
+        for (const resource of contents) messages.push({ role: 'user', content: { type: 'resource', resource } });
+      } catch (err) {
+        // Still useful without the attachment; the model can fetch it with tools
+        messages.push({ role: 'user', content: { type: 'text', text: `(Could not read ${uri}: ${err?.message || err})` } });
+      }
+    }
+    return { description: prompt.description, messages };
+  }
+
+  // Resource URIs get() would attach (for pricing the call); [] for an unknown prompt
+  function resourcesFor(name, args = {}) {
+    const prompt = PROMPTS.find(p => p.name === name);
+    return prompt ? prompt.resources(args) : [];
+  }
+
+  return { list, get, resourcesFor };
+}
+
+module.exports = { createPromptCatalog };
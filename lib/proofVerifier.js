@@ -0,0 +1,143 @@
+// lib/proofVerifier.js - local verification of eth_getProof (EIP-1186) against a block's stateRoot
+//
+// The account proof is walked from the state root down the secure Merkle-Patricia trie
+// (path = keccak256(address)), checking every node's keccak256 against the reference held by its
+// parent. The leaf's RLP [nonce, balance, storageRoot, codeHash] must equal what the node claimed;
+// each storage proof is walked the same way from that storageRoot (path = keccak256(slot)).
+// A proof that ends in an empty branch slot or a diverging leaf/extension proves absence.
+// Trie paths come from the address and slots the caller asked for, never from the node's echo of
+// them, so a valid proof for some other account or slot cannot be passed off as the requested one.
+
+const { keccak256, decodeRlp, zeroPadValue, toBeHex } = require('ethers');
+
+const EMPTY_TRIE_ROOT = '0x56e81f171bcc55a6ff8345e692c0f86e5b48e01b996cadc001622fb5e363b421';
+const EMPTY_CODE_HASH = '0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470';
+
+class ProofVerificationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ProofVerificationError';
+    this.details = details;
+  }
+}
+
+function toNibbles(hex) {
+  const nibbles = [];
+  for (const ch of hex.slice(2)) nibbles.push(parseInt(ch, 16));
+  return nibbles;
+}
+
+// Hex-prefix encoding of leaf/extension paths: first nibble = flags (2 = leaf, 1 = odd length)
+function decodePath(encoded) {
+  const nibbles = toNibbles(encoded);
+  const flag = nibbles[0];
+  return { isLeaf: flag >= 2, nibbles: nibbles.slice(flag % 2 === 1 ? 1 : 2) };
+}
+
+const sameNibbles = (a, b) => a.length === b.length && a.every((n, i) => n === b[i]);
+const big = hex => (hex === '0x' ? 0n : BigInt(hex));
+
+// Walk one proof. Returns the raw leaf value (hex) or null when the proof shows the key is absent.
+function verifyTrieProof(rootHash, key, proof, label) {
+  const fail = reason => { throw new ProofVerificationError(`${label}: ${reason}`, { root: rootHash, key }); };
+  const path = toNibbles(keccak256(key));
+  let expected = rootHash.toLowerCase();
+  let offset = 0;
+  if (!proof.length && expected === EMPTY_TRIE_ROOT) return null; // Empty trie: nothing to walk
+
+  for (let i = 0; i < proof.length; i++) {
+    if (keccak256(proof[i]) !== expected) fail(`node ${i} does not hash to the reference held by its parent (${expected})`);
+    let node = decodeRlp(proof[i]);
+    // Nodes shorter than 32 bytes are embedded in their parent instead of referenced by hash
+    for (;;) {
+      if (!Array.isArray(node)) fail(`node ${i} is not an RLP list`);
+      let child;
+      if (node.length === 17) {
+        if (offset === path.length) return node[16] === '0x' ? null : node[16];
+        child = node[path[offset]];
+        offset += 1;
+        if (child === '0x') return i === proof.length - 1 ? null : fail('proof continues past an empty branch slot');
+      } else if (node.length === 2) {
+        const { isLeaf, nibbles } = decodePath(node[0]);
+        const rest = path.slice(offset, offset + nibbles.length);
+        if (isLeaf) {
+          if (i !== proof.length - 1) fail('proof continues past a leaf');
+          return offset + nibbles.length === path.length && sameNibbles(rest, nibbles) ? node[1] : null;
+        }
+        if (!sameNibbles(rest, nibbles)) return i === proof.length - 1 ? null : fail('proof continues past a diverging extension');
+        offset += nibbles.length;
+        child = node[1];
+      } else {
+        fail(`node ${i} has ${node.length} items (expected 2 or 17)`);
+      }
+      if (Array.isArray(child)) {
+        node = child;
+        continue;
+      }
+      expected = child.toLowerCase();
+      break;
+    }
+  }
+  return fail('proof ends before reaching a leaf or proving absence');
+}
+
+// Verify an eth_getProof result for the requested address/storageKeys against stateRoot;
+// throws ProofVerificationError on any mismatch
+function verifyAccountProof(stateRoot, result, { address: requestedAddress, storageKeys = [] }) {
+  const address = String(requestedAddress).toLowerCase();
+  if (String(result.address || '').toLowerCase() !== address) {
+    throw new ProofVerificationError(`Node returned a proof for ${result.address} instead of ${address}`, { requested: address, returned: result.address });
+  }
+  const mismatches = [];
+  const leaf = verifyTrieProof(stateRoot, address, result.accountProof, `account ${address}`);
+
+  const claimed = {
+    nonce: big(result.nonce),
+    balance: big(result.balance),
+    storageHash: result.storageHash.toLowerCase(),
+    codeHash: result.codeHash.toLowerCase()
+  };
+  let proven;
+  if (leaf === null) {
+    proven = { nonce: 0n, balance: 0n, storageHash: EMPTY_TRIE_ROOT, codeHash: EMPTY_CODE_HASH };
+    // Geth reports a zero codeHash/storageHash for accounts that do not exist
+    if (/^0x0+$/.test(claimed.codeHash)) claimed.codeHash = EMPTY_CODE_HASH;
+    if (/^0x0+$/.test(claimed.storageHash)) claimed.storageHash = EMPTY_TRIE_ROOT;
+  } else {
+    const fields = decodeRlp(leaf);
+    if (!Array.isArray(fields) || fields.length !== 4) throw new ProofVerificationError(`account ${address}: leaf is not [nonce, balance, storageRoot, codeHash]`);
+    proven = { nonce: big(fields[0]), balance: big(fields[1]), storageHash: fields[2].toLowerCase(), codeHash: fields[3].toLowerCase() };
+  }
+  for (const field of ['nonce', 'balance', 'storageHash', 'codeHash']) {
+    if (claimed[field] !== proven[field]) mismatches.push({ field, claimed: String(claimed[field]), proven: String(proven[field]) });
+  }
+
+  const storage = storageKeys.map(key => {
+    const slotNumber = BigInt(key);
+    const entries = (result.storageProof || []).filter(entry => big(entry.key) === slotNumber);
+    if (entries.length !== 1) {
+      throw new ProofVerificationError(`Expected exactly one storage proof for slot ${key}, node returned ${entries.length}`, { key });
+    }
+    const [entry] = entries;
+    const slot = zeroPadValue(toBeHex(slotNumber), 32);
+    const raw = verifyTrieProof(proven.storageHash, slot, entry.proof, `storage slot ${key}`);
+    const value = raw === null ? 0n : big(decodeRlp(raw));
+    if (value !== big(entry.value)) mismatches.push({ field: `storage[${key}]`, claimed: big(entry.value).toString(), proven: value.toString() });
+    return { key, value: toBeHex(value, 32), valueDecimal: value.toString() };
+  });
+
+  if (mismatches.length) {
+    const summary = mismatches.map(m => `${m.field} claimed ${m.claimed} but proof says ${m.proven}`).join('; ');
+    throw new ProofVerificationError(`Proof for ${address} does not match the node's claims: ${summary}`, { mismatches });
+  }
+  return {
+    exists: leaf !== null,
+    nonce: Number(proven.nonce),
+    balanceWei: proven.balance.toString(),
+    storageHash: proven.storageHash,
+    codeHash: proven.codeHash,
+    storage
+  };
+}
+
+module.exports = { verifyAccountProof, verifyTrieProof, ProofVerificationError, EMPTY_TRIE_ROOT, EMPTY_CODE_HASH };
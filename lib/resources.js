@@ -0,0 +1,140 @@
+// lib/resources.js - URI-addressable chain objects for MCP resources/list, resources/read and templates
+//
+// Every resource is JSON read live from the node. Concrete URIs (latest block, node info) are
+// listed; everything addressed by a number, hash or address is described by a URI template.
+// Subscription URIs (geth://subscriptions/{id}) are served by the subscription hub.
+
+const { formatEther } = require('ethers');
+
+const MIME = 'application/json';
+const RESOURCE_NOT_FOUND = -32002; // MCP error code for an unknown resource URI
+
+const HASH = /^0x[0-9a-fA-F]{64}$/;
+const ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+const STATIC_RESOURCES = [
+  { uri: 'geth://block/latest', name: 'Latest block', description: 'Header and transaction hashes of the current head; subscribable (updates on every new block).', mimeType: MIME },
+  { uri: 'geth://node/info', name: 'Node info', description: 'Client version, chain id, sync state, peer count and (with the admin scope) admin_nodeInfo.', mimeType: MIME }
+];
+
+const RESOURCE_TEMPLATES = [
+  { uriTemplate: 'geth://block/{numberOrHash}', name: 'Block', description: 'Block by decimal number, 0x number, tag (latest, safe, finalized, earliest, pending) or 32-byte hash.', mimeType: MIME },
+  { uriTemplate: 'geth://tx/{hash}', name: 'Transaction', description: 'Transaction and its receipt (null while pending).', mimeType: MIME },
+  { uriTemplate: 'geth://account/{address}', name: 'Account', description: 'Balance (wei and ether), nonce and code at the latest block.', mimeType: MIME },
+  { uriTemplate: 'geth://subscriptions/{subscriptionId}', name: 'Subscription events', description: 'Buffered events of a subscription created with eth_subscribe on this session; subscribable.', mimeType: MIME }
+];
+
+class ResourceNotFoundError extends Error {
+  constructor(uri, reason) {
+    super(reason ? `Resource not found: ${uri} (${reason})` : `Resource not found: ${uri}`);
+    this.name = 'ResourceNotFoundError';
+    this.code = RESOURCE_NOT_FOUND;
+    this.data = { uri };
+  }
+}
+
+function blockParam(ref) {
+  if (HASH.test(ref)) return { method: 'eth_getBlockByHash', param: ref };
+  if (/^\d+$/.test(ref)) return { method: 'eth_getBlockByNumber', param: '0x' + BigInt(ref).toString(16) };
+  if (/^0x[0-9a-fA-F]+$/.test(ref) || ['latest', 'safe', 'finalized', 'earliest', 'pending'].includes(ref)) {
+    return { method: 'eth_getBlockByNumber', param: ref };
+  }
+  return null;
+}
+
+function createResourceCatalog({ rpc, subscriptions }) {
+  // Optional node methods (admin_*, net_*) may be disabled; report null instead of failing the read
+  const optional = promise => promise.catch(err => ({ unavailable: err?.message || String(err) }));
+
+  async function readBlock(uri, ref) {
+    const target = blockParam(ref);
+    if (!target) throw new ResourceNotFoundError(uri, 'expected a block number, tag or hash');
+    const block = await rpc(target.method, [target.param, false]);
+    if (!block) throw new ResourceNotFoundError(uri, 'no such block');
+    return block;
+  }
+
+  async function readTransaction(uri, hash) {
+    if (!HASH.test(hash)) throw new ResourceNotFoundError(uri, 'expected a 32-byte transaction hash');
+    const [transaction, receipt] = await Promise.all([
+      rpc('eth_getTransactionByHash', [hash]),
+      rpc('eth_getTransactionReceipt', [hash])
+    ]);
+    if (!transaction) throw new ResourceNotFoundError(uri, 'unknown transaction');
+    return { transaction, receipt };
+  }
+
+  async function readAccount(uri, address) {
+    if (!ADDRESS.test(address)) throw new ResourceNotFoundError(uri, 'expected a 20-byte address');
+    const [blockNumber, balance, nonce, code] = await Promise.all([
+      rpc('eth_blockNumber', []),
+      rpc('eth_getBalance', [address, 'latest']),
+      rpc('eth_getTransactionCount', [address, 'latest']),
+      rpc('eth_getCode', [address, 'latest'])
+    ]);
+    return {
+      address,
+      blockNumber: Number(BigInt(blockNumber)),
+      balanceWei: BigInt(balance).toString(),
+      balanceEther: formatEther(BigInt(balance)),
+      nonce: Number(BigInt(nonce)),
+      isContract: code !== '0x',
+      codeSize: (code.length - 2) / 2,
+      code
+    };
+  }
+
+  async function readNodeInfo({ admin }) {
+    const [clientVersion, chainId, syncing, peerCount, blockNumber, nodeInfo] = await Promise.all([
+      optional(rpc('web3_clientVersion', [])),
+      rpc('eth_chainId', []),
+      rpc('eth_syncing', []),
+      optional(rpc('net_peerCount', [])),
+      rpc('eth_blockNumber', []),
+      admin ? optional(rpc('admin_nodeInfo', [])) : null
+    ]);
+    return {
+      clientVersion,
+      chainId: Number(BigInt(chainId)),
+      syncing,
+      peerCount: typeof peerCount === 'string' ? Number(BigInt(peerCount)) : peerCount,
+      blockNumber: Number(BigInt(blockNumber)),
+      nodeInfo
+    };
+  }
+
+  // Resources visible to one session: the static ones plus its live subscriptions
+  function list(sessionId) {
+    const subs = sessionId ? subscriptions.list(sessionId) : [];
+    return [
+      ...STATIC_RESOURCES,
+      ...subs.map(s => ({ uri: s.uri, name: `Subscription ${s.kind}`, description: `Events of ${s.kind} subscription ${s.subscriptionId}`, mimeType: MIME }))
+    ];
+  }
+
+  // Read one URI; opts: { sessionId, admin } (admin = caller may see admin_* data)
+  async function read(uri, { sessionId = null, admin = true } = {}) {
+    const match = /^geth:\/\/([a-z]+)\/(.+)$/.exec(String(uri || ''));
+    if (!match) throw new ResourceNotFoundError(uri);
+    const [, kind, rest] = match;
+    let value;
+    if (kind === 'block') value = await readBlock(uri, rest);
+    else if (kind === 'tx') value = await readTransaction(uri, rest);
+    else if (kind === 'account') value = await readAccount(uri, rest);
+    else if (kind === 'node' && rest === 'info') value = await readNodeInfo({ admin });
+    else if (kind === 'subscriptions') {
+      try {
+        value = subscriptions.byUri(sessionId, uri);
+      } catch (err) {
+        throw new ResourceNotFoundError(uri, err.message);
+      }
+    } else {
+      throw new ResourceNotFoundError(uri);
+    }
+    return { contents: [{ uri, mimeType: MIME, text: JSON.stringify(value) }] };
+  }
+
+  return { list, read, templates: () => RESOURCE_TEMPLATES };
+}
+
+module.exports = { createResourceCatalog, ResourceNotFoundError, RESOURCE_NOT_FOUND };
@@ -0,0 +1,248 @@
+// lib/responseCache.js - bounded LRU cache for immutable JSON-RPC responses
+//
+// Only responses that can never change are stored: data addressed by block hash, by a concrete
+// block number at or below the finalized block, or mined transactions/receipts. Block tags
+// (latest, pending, safe, ...) are never cached. Entries that belong to blocks above the finalized
+// block (a mined tx in a recent block) are tagged with that block number and dropped when the
+// head tracker sees a reorg.
+
+const BLOCK_TAGS = new Set(['latest', 'pending', 'earliest', 'safe', 'finalized']);
+const RECENT_HASHES_KEPT = 256;
+
+// Where the block reference lives in each method's params
+const BLOCK_PARAM_INDEX = {
+  eth_getBalance: 1,
+  eth_getTransactionCount: 1,
+  eth_getCode: 1,
+  eth_getStorageAt: 2,
+  eth_call: 1,
+  eth_getProof: 2,
+  eth_getBlockByNumber: 0,
+  eth_getBlockTransactionCountByNumber: 0,
+  eth_getUncleCountByBlockNumber: 0,
+  eth_getBlockReceipts: 0,
+  debug_getBlockRlp: 0
+};
+
+// Parse a block reference: { number } for concrete numbers, { hash } for hashes, null for tags
+function parseBlockRef(ref) {
+  if (ref && typeof ref === 'object') {
+    if (typeof ref.blockHash === 'string') return { hash: ref.blockHash.toLowerCase() }; // EIP-1898
+    if (ref.blockNumber !== undefined) return parseBlockRef(ref.blockNumber);
+    return null;
+  }
+  if (typeof ref === 'number' && Number.isSafeInteger(ref) && ref >= 0) return { number: ref };
+  if (typeof ref !== 'string' || BLOCK_TAGS.has(ref)) return null;
+  if (/^0x[0-9a-fA-F]{64}$/.test(ref)) return { hash: ref.toLowerCase() };
+  if (/^0x[0-9a-fA-F]+$/.test(ref)) return { number: Number(BigInt(ref)) };
+  if (/^\d+$/.test(ref)) return { number: Number(ref) }; // debug_getBlockRlp takes plain numbers
+  return null;
+}
+
+function hexNumber(v) {
+  return typeof v === 'string' && /^0x[0-9a-fA-F]+$/.test(v) ? Number(BigInt(v)) : null;
+}
+
+function createResponseCache(options = {}) {
+  const {
+    maxEntries = 5000,
+    maxBytes = 64 * 1024 * 1024,
+    finalityDepth = 64, // Used when the node does not know the "finalized" tag (pre-merge / dev chains)
+    refreshIntervalMs = 12_000,
+    rpc // async (method, params) => result; used for finality/head tracking only
+  } = options;
+
+  const entries = new Map(); // key -> { json, bytes, method, blockNumber }
+  let totalBytes = 0;
+  let finalized = null; // Highest block number considered immutable
+  let head = null;
+  const recentHashes = new Map(); // block number -> hash, for reorg detection
+  const stats = { hits: 0, misses: 0, bypassed: 0, stores: 0, evictions: 0, invalidations: 0, reorgs: 0, byMethod: {} };
+  let refreshTimer = null;
+
+  function methodStats(method) {
+    return (stats.byMethod[method] ||= { hits: 0, misses: 0, bypassed: 0 });
+  }
+
+  function isFinal(number) {
+    return finalized !== null && number <= finalized;
+  }
+
+  // Decide whether a (method, params, result) triple is immutable.
+  // Returns null when not cacheable, otherwise { blockNumber } (null = not tied to a reorgable block).
+  function policyFor(method, params = [], result) {
+    if (result === null || result === undefined) return null; // "not found yet" can change
+    switch (method) {
+      case 'eth_chainId':
+        return { blockNumber: null };
+      case 'eth_getTransactionByHash':
+      case 'eth_getTransactionReceipt': {
+        const number = hexNumber(result.blockNumber);
+        if (number === null) return null; // Pending transaction
+        return { blockNumber: isFinal(number) ? null : number };
+      }
+      case 'eth_getBlockByHash': {
+        const number = hexNumber(result.number);
+        return { blockNumber: number !== null && isFinal(number) ? null : number };
+      }
+      case 'eth_getLogs': {
+        const filter = params[0] || {};
+        if (filter.blockHash) return { blockNumber: null };
+        const to = parseBlockRef(filter.toBlock ?? 'latest');
+        const from = parseBlockRef(filter.fromBlock ?? 'latest');
+        return from?.number !== undefined && to?.number !== undefined && isFinal(to.number) ? { blockNumber: null } : null;
+      }
+      default: {
+        const index = BLOCK_PARAM_INDEX[method];
+        if (index === undefined) return null;
+        const ref = parseBlockRef(params[index]);
+        if (!ref) return null;
+        if (ref.hash) return { blockNumber: null }; // State/data at a block hash never changes
+        return isFinal(ref.number) ? { blockNumber: null } : null;
+      }
+    }
+  }
+
+  function keyOf(method, params) {
+    return `${method}:${JSON.stringify(params ?? [])}`;
+  }
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    totalBytes -= entry.bytes;
+  }
+
+  // Returns the cached result or undefined. Every lookup is a hit or a miss; a miss whose
+  // response then turns out to be uncacheable is also counted as bypassed by store().
+  function get(method, params) {
+    if (maxEntries <= 0) return undefined; // Cache disabled
+    const key = keyOf(method, params);
+    const entry = entries.get(key);
+    if (!entry) {
+      stats.misses += 1;
+      methodStats(method).misses += 1;
+      return undefined;
+    }
+    // Refresh LRU position
+    entries.delete(key);
+    entries.set(key, entry);
+    stats.hits += 1;
+    methodStats(method).hits += 1;
+    return JSON.parse(entry.json);
+  }
+
+  function store(method, params, result) {
+    observe(method, result);
+    if (maxEntries <= 0) return false; // Cache disabled
+    const policy = policyFor(method, params, result);
+    if (!policy) {
+      stats.bypassed += 1;
+      methodStats(method).bypassed += 1;
+      return false;
+    }
+    const json = JSON.stringify(result);
+    const bytes = json.length;
+    if (bytes > maxBytes) return false;
+    const key = keyOf(method, params);
+    remove(key);
+    entries.set(key, { json, bytes, method, blockNumber: policy.blockNumber });
+    totalBytes += bytes;
+    stats.stores += 1;
+    while (entries.size > maxEntries || totalBytes > maxBytes) {
+      const oldest = entries.keys().next().value;
+      remove(oldest);
+      stats.evictions += 1;
+    }
+    return true;
+  }
+
+  // Block headers passing through feed the reorg detector
+  function observe(method, result) {
+    if ((method === 'eth_getBlockByNumber' || method === 'eth_getBlockByHash') && result && result.hash) {
+      noteBlock(hexNumber(result.number), result.hash, result.parentHash);
+    }
+  }
+
+  // Drop every entry tied to a block above the finalized block
+  function invalidateAbove(number) {
+    let dropped = 0;
+    for (const [key, entry] of [...entries]) {
+      if (entry.blockNumber !== null && entry.blockNumber > number) {
+        remove(key);
+        dropped += 1;
+      }
+    }
+    for (const n of [...recentHashes.keys()]) if (n > number) recentHashes.delete(n);
+    stats.invalidations += dropped;
+    return dropped;
+  }
+
+  function noteBlock(number, hash, parentHash) {
+    if (number === null || !hash) return;
+    const known = recentHashes.get(number);
+    const knownParent = recentHashes.get(number - 1);
+    if ((known && known !== hash) || (knownParent && parentHash && knownParent !== parentHash)) {
+      stats.reorgs += 1;
+      const dropped = invalidateAbove(finalized ?? Math.max(0, number - finalityDepth));
+      console.warn(`[responseCache] Reorg detected at block ${number}; dropped ${dropped} non-final entries`);
+    }
+    recentHashes.set(number, hash);
+    if (recentHashes.size > RECENT_HASHES_KEPT) recentHashes.delete(recentHashes.keys().next().value);
+  }
+
+  // Refresh the finalized block number and check the head for reorgs
+  async function refresh() {
+    if (!rpc) return;
+    const latest = await rpc('eth_getBlockByNumber', ['latest', false]);
+    if (latest) {
+      head = hexNumber(latest.number);
+      noteBlock(head, latest.hash, latest.parentHash);
+    }
+    let next = null;
+    try {
+      const fin = await rpc('eth_getBlockByNumber', ['finalized', false]);
+      next = fin ? hexNumber(fin.number) : null;
+    } catch (_) { /* node does not support the finalized tag */ }
+    if (next === null && head !== null) next = Math.max(0, head - finalityDepth);
+    if (next !== null && (finalized === null || next > finalized)) finalized = next;
+  }
+
+  function start() {
+    if (refreshTimer || !rpc || refreshIntervalMs <= 0) return;
+    const tick = () => refresh().catch(e => console.warn('[responseCache] finality refresh failed:', e?.message || e));
+    tick();
+    refreshTimer = setInterval(tick, refreshIntervalMs);
+    refreshTimer.unref();
+  }
+
+  function stop() {
+    if (refreshTimer) clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+
+  function clear() {
+    entries.clear();
+    totalBytes = 0;
+  }
+
+  function status() {
+    const lookups = stats.hits + stats.misses;
+    return {
+      entries: entries.size,
+      bytes: totalBytes,
+      maxEntries,
+      maxBytes,
+      finalizedBlock: finalized,
+      headBlock: head,
+      hitRatio: lookups ? Number((stats.hits / lookups).toFixed(4)) : null,
+      ...stats,
+      byMethod: { ...stats.byMethod }
+    };
+  }
+
+  return { get, store, refresh, start, stop, clear, invalidateAbove, status, policyFor };
+}
+
+module.exports = { createResponseCache, parseBlockRef };
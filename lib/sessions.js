@@ -0,0 +1,161 @@
+// lib/sessions.js - Streamable HTTP session registry (Mcp-Session-Id + GET-based SSE streams)
+//
+// A session is issued on `initialize` and echoed by the client in the Mcp-Session-Id header.
+// Each session may hold any number of open SSE streams (GET /mcp); server-initiated messages
+// are written to all of them and kept in a short replay buffer so a client reconnecting with
+// Last-Event-ID does not miss notifications. Sessions created with a `deliver` callback (the
+// stdio transport) receive messages through it instead of SSE. At most maxSessions HTTP sessions
+// exist at once, so a client looping on initialize cannot grow the registry without bound.
+
+const crypto = require('node:crypto');
+
+const REPLAY_BUFFER_SIZE = 100;
+
+function createSessionStore(options = {}) {
+  const {
+    ttlMs = 30 * 60_000, // Idle sessions without open streams are dropped after this
+    keepAliveMs = 15_000, // SSE comment heartbeat so proxies do not cut idle streams
+    sweepIntervalMs = 60_000,
+    maxSessions = 1000 // HTTP sessions; stdio sessions do not count
+  } = options;
+
+  const sessions = new Map();
+  const closeListeners = [];
+  let sweepTimer = null;
+
+  const httpSessionCount = () => [...sessions.values()].filter(s => !s.deliver).length;
+
+  // Returns null when maxSessions HTTP sessions are open, even after dropping expired ones
+  function create(info = {}) {
+    if (!info.deliver && httpSessionCount() >= maxSessions) {
+      sweep();
+      if (httpSessionCount() >= maxSessions) return null;
+    }
+    const id = crypto.randomUUID();
+    const session = {
+      id,
+      createdAt: Date.now(),
+      lastSeenAt: Date.now(),
+      clientInfo: info.clientInfo || null,
+      protocolVersion: info.protocolVersion || null,
+      principalName: info.principalName || null, // API key that created the session
+      transport: info.deliver ? 'stdio' : 'http',
+      deliver: info.deliver || null,
+      streams: new Set(),
+      nextEventId: 1,
+      replay: []
+    };
+    sessions.set(id, session);
+    return session;
+  }
+
+  function get(id) {
+    const session = id ? sessions.get(id) : undefined;
+    if (session) session.lastSeenAt = Date.now();
+    return session;
+  }
+
+  function writeEvent(res, eventId, message) {
+    try {
+      res.write(`id: ${eventId}\nevent: message\ndata: ${JSON.stringify(message)}\n\n`);
+    } catch (_) { /* stream already gone; the close handler cleans up */ }
+  }
+
+  // Attach an SSE response to a session; replays anything after lastEventId
+  function openStream(session, req, res, lastEventId) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('Mcp-Session-Id', session.id);
+    res.flushHeaders?.();
+    res.write(': stream open\n\n');
+
+    const after = Number(lastEventId);
+    if (Number.isFinite(after) && after > 0) {
+      for (const event of session.replay) {
+        if (event.id > after) writeEvent(res, event.id, event.message);
+      }
+    }
+
+    session.streams.add(res);
+    const heartbeat = setInterval(() => {
+      try { res.write(': keep-alive\n\n'); } catch (_) { /* noop */ }
+    }, keepAliveMs);
+    heartbeat.unref();
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      session.streams.delete(res);
+      session.lastSeenAt = Date.now();
+    };
+    req.on('close', cleanup);
+    res.on('close', cleanup);
+  }
+
+  // Push a server-initiated JSON-RPC message to every stream of one session
+  function send(sessionId, message) {
+    const session = sessions.get(sessionId);
+    if (!session) return false;
+    if (session.deliver) {
+      session.deliver(message);
+      return true;
+    }
+    const eventId = session.nextEventId++;
+    session.replay.push({ id: eventId, message });
+    if (session.replay.length > REPLAY_BUFFER_SIZE) session.replay.shift();
+    for (const res of session.streams) writeEvent(res, eventId, message);
+    return true;
+  }
+
+  function broadcast(message) {
+    for (const id of sessions.keys()) send(id, message);
+  }
+
+  function destroy(id) {
+    const session = sessions.get(id);
+    if (!session) return false;
+    sessions.delete(id);
+    for (const res of session.streams) {
+      try { res.end(); } catch (_) { /* noop */ }
+    }
+    session.streams.clear();
+    for (const listener of closeListeners) {
+      try { listener(session); } catch (e) { console.warn('[sessions] close listener failed:', e?.message || e); }
+    }
+    return true;
+  }
+
+  // Register a callback run when a session is deleted or expires (release per-session state)
+  function onClose(listener) {
+    closeListeners.push(listener);
+  }
+
+  function sweep(now = Date.now()) {
+    for (const session of [...sessions.values()]) {
+      if (!session.deliver && !session.streams.size && now - session.lastSeenAt > ttlMs) destroy(session.id);
+    }
+  }
+
+  function startSweeper() {
+    if (sweepTimer || sweepIntervalMs <= 0) return;
+    sweepTimer = setInterval(() => sweep(), sweepIntervalMs);
+    sweepTimer.unref();
+  }
+
+  function stopSweeper() {
+    if (sweepTimer) clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+
+  function closeAll() {
+    for (const id of [...sessions.keys()]) destroy(id);
+  }
+
+  function status() {
+    return { active: sessions.size, max: maxSessions, openStreams: [...sessions.values()].reduce((n, s) => n + s.streams.size, 0) };
+  }
+
+  return { create, get, openStream, send, broadcast, destroy, onClose, sweep, startSweeper, stopSweeper, closeAll, status };
+}
+
+module.exports = { createSessionStore };
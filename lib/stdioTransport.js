@@ -0,0 +1,59 @@
+// lib/stdioTransport.js - newline-delimited JSON-RPC over stdin/stdout (MCP stdio transport)
+//
+// stdout is reserved for protocol messages; callers must route logging to stderr before
+// starting this transport. When stdin ends, messages still being handled are answered and
+// stdout is flushed before onClose runs, so piping a script of requests gets every reply.
+
+const readline = require('node:readline');
+
+function startStdioTransport({ onMessage, onBatch, onClose, maxBatchSize = Infinity, input = process.stdin, output = process.stdout }) {
+  let closed = false;
+  const pending = new Set(); // handleLine promises not settled yet
+
+  function send(message) {
+    if (closed) return;
+    output.write(JSON.stringify(message) + '\n');
+  }
+
+  async function handleLine(line) {
+    const text = line.trim();
+    if (!text) return;
+    let payload;
+    try { payload = JSON.parse(text); } catch {
+      return send({ jsonrpc: '2.0', error: { code: -32700, message: 'Parse error' }, id: null });
+    }
+    try {
+      if (Array.isArray(payload)) {
+        if (!payload.length) return send({ jsonrpc: '2.0', error: { code: -32600, message: 'Empty batch' }, id: null });
+        if (payload.length > maxBatchSize) return send({ jsonrpc: '2.0', error: { code: -32600, message: `Batch of ${payload.length} entries exceeds the limit of ${maxBatchSize}` }, id: null });
+        const replies = await onBatch(payload);
+        if (replies.length) send(replies);
+        return;
+      }
+      // Responses to server-initiated requests carry no method; nothing to answer
+      if (payload && typeof payload === 'object' && payload.method === undefined && ('result' in payload || 'error' in payload)) return;
+      const reply = await onMessage(payload);
+      if (reply) send(reply);
+    } catch (err) {
+      console.error('[stdio] failed to handle message:', err?.message || err);
+      send({ jsonrpc: '2.0', error: { code: -32603, message: 'Internal error' }, id: payload?.id ?? null });
+    }
+  }
+
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  rl.on('line', line => {
+    const handling = handleLine(line);
+    pending.add(handling);
+    handling.finally(() => pending.delete(handling));
+  });
+  rl.on('close', async () => {
+    await Promise.allSettled([...pending]);
+    await new Promise(resolve => output.write('', resolve));
+    closed = true;
+    if (onClose) onClose();
+  });
+
+  return { send, close: () => rl.close() };
+}
+
+module.exports = { startStdioTransport };
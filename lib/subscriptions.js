@@ -0,0 +1,116 @@
+// lib/subscriptions.js - per-session MCP subscriptions on top of the chain watcher
+//
+// Each subscription belongs to one MCP session. Events are buffered (for clients that poll
+// with eth_getSubscriptionEvents) and pushed to the session as `notifications/message`; when the
+// client also called resources/subscribe on the subscription's URI it gets
+// `notifications/resources/updated` as well. resources/subscribe on geth://block/latest sends
+// `notifications/resources/updated` for that URI on every new head.
+
+const crypto = require('node:crypto');
+const { InvalidParamsError } = require('./errors');
+
+const URI_PREFIX = 'geth://subscriptions/';
+const HEAD_URI = 'geth://block/latest';
+
+function createSubscriptionHub({ watcher, sessionStore, bufferSize = 100, maxPerSession = 20 }) {
+  const subs = new Map(); // id -> subscription
+  const headWatches = new Map(); // sessionId -> unsubscribe, for resources/subscribe on HEAD_URI
+
+  function forSession(sessionId) {
+    return [...subs.values()].filter(s => s.sessionId === sessionId);
+  }
+
+  function subscribe(sessionId, kind, filter) {
+    if (!sessionId) {
+      throw new InvalidParamsError('Subscriptions need an MCP session: call initialize and send the Mcp-Session-Id header (or use stdio)');
+    }
+    if (forSession(sessionId).length >= maxPerSession) {
+      throw new InvalidParamsError(`At most ${maxPerSession} subscriptions per session; unsubscribe one first`);
+    }
+    const id = crypto.randomUUID();
+    const sub = { id, sessionId, kind, filter: filter || null, uri: URI_PREFIX + id, createdAt: Date.now(), seq: 0, events: [], resourceSubscribed: false };
+    sub.unsubscribe = watcher.subscribe(kind, filter, event => {
+      sub.seq += 1;
+      sub.events.push({ seq: sub.seq, receivedAt: new Date().toISOString(), event });
+      if (sub.events.length > bufferSize) sub.events.shift();
+      sessionStore.send(sessionId, {
+        jsonrpc: '2.0',
+        method: 'notifications/message',
+        params: { level: 'info', logger: 'geth-subscription', data: { subscriptionId: id, kind, seq: sub.seq, event } }
+      });
+      if (sub.resourceSubscribed) {
+        sessionStore.send(sessionId, { jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri: sub.uri } });
+      }
+    });
+    subs.set(id, sub);
+    return describe(sub);
+  }
+
+  function owned(sessionId, id) {
+    const sub = subs.get(id);
+    if (!sub || sub.sessionId !== sessionId) throw new InvalidParamsError(`Unknown subscription ${id}`);
+    return sub;
+  }
+
+  function unsubscribe(sessionId, id) {
+    const sub = owned(sessionId, id);
+    sub.unsubscribe();
+    subs.delete(id);
+    return true;
+  }
+
+  // Buffered events after `since` (a seq number); oldest first
+  function events(sessionId, id, { since = 0, limit = bufferSize } = {}) {
+    const sub = owned(sessionId, id);
+    const list = sub.events.filter(e => e.seq > since).slice(0, limit);
+    return { ...describe(sub), events: list, lastSeq: sub.seq, dropped: sub.events.length && sub.events[0].seq > since + 1 ? sub.events[0].seq - since - 1 : 0 };
+  }
+
+  // resources/subscribe + unsubscribe for HEAD_URI and geth://subscriptions/{id}; returns false for other URIs
+  function setResourceSubscription(sessionId, uri, enabled) {
+    if (uri === HEAD_URI) {
+      if (!sessionId) throw new InvalidParamsError('Resource subscriptions need an MCP session');
+      if (enabled && !headWatches.has(sessionId)) {
+        headWatches.set(sessionId, watcher.subscribe('newHeads', null, () => {
+          sessionStore.send(sessionId, { jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri: HEAD_URI } });
+        }));
+      } else if (!enabled && headWatches.has(sessionId)) {
+        headWatches.get(sessionId)();
+        headWatches.delete(sessionId);
+      }
+      return true;
+    }
+    if (!String(uri).startsWith(URI_PREFIX)) return false;
+    owned(sessionId, uri.slice(URI_PREFIX.length)).resourceSubscribed = enabled;
+    return true;
+  }
+
+  function byUri(sessionId, uri) {
+    if (!String(uri).startsWith(URI_PREFIX)) return null;
+    return events(sessionId, uri.slice(URI_PREFIX.length));
+  }
+
+  function describe(sub) {
+    return { subscriptionId: sub.id, uri: sub.uri, kind: sub.kind, filter: sub.filter, createdAt: new Date(sub.createdAt).toISOString() };
+  }
+
+  function list(sessionId) {
+    return forSession(sessionId).map(s => ({ ...describe(s), lastSeq: s.seq }));
+  }
+
+  // Drop everything a closed session left behind
+  function closeSession(sessionId) {
+    for (const sub of forSession(sessionId)) {
+      sub.unsubscribe();
+      subs.delete(sub.id);
+    }
+    if (headWatches.has(sessionId)) {
+      headWatches.get(sessionId)();
+      headWatches.delete(sessionId);
+    }
+  }
+
+  return { subscribe, unsubscribe, events, list, setResourceSubscription, byUri, closeSession, URI_PREFIX };
+}
+
+module.exports = { createSubscriptionHub };
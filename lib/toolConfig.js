@@ -0,0 +1,193 @@
+// lib/toolConfig.js - tools declared in a JSON or YAML file (TOOLS_CONFIG) instead of code
+//
+// Each entry names the Geth method, its parameters (type, default, where the value goes in the
+// positional RPC params), hex fields of the result to mirror as decimals, aliases and the
+// required scope. The parameter list is the single source for both the Zod validator and the
+// JSON Schema shown in tools/list.
+//
+//   tools:
+//     - name: eth_getStorageAt
+//       description: Read one storage slot
+//       params:
+//         - { name: address, type: address, required: true }
+//         - { name: slot, type: quantity, required: true }
+//         - { name: block, type: block, default: latest }
+//       decimal: ['']            # '' = the result itself; 'a.b', 'list.*.value' for nested fields
+//       aliases: [getStorageAt]
+//
+// A param without a name is a constant ({ value }) that callers cannot change. `position` picks
+// the RPC param index (default: the param's index in the list) and `key` puts the value into an
+// object at that position (dot paths allowed), e.g. debug_traceCall's call object and tracer config.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { z } = require('zod');
+const YAML = require('yaml');
+const { toQuantity, hexToDecimalMaybe } = require('./hex');
+
+// Same policy as registerTool: only these namespaces are exposed, for tool names and RPC methods
+const TOOL_PREFIX = /^(eth|admin|debug|txpool)_/;
+const SCOPES = ['eth', 'debug', 'admin', 'txpool', 'send'];
+const ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const HASH = /^0x[0-9a-fA-F]{64}$/;
+const HEX = /^0x[0-9a-fA-F]*$/;
+const QUANTITY = /^(0x[0-9a-fA-F]+|\d+)$/;
+
+// Param type -> validator, JSON Schema and (optionally) conversion to the RPC wire format
+const PARAM_TYPES = {
+  string: { zod: () => z.string(), json: { type: 'string' } },
+  address: { zod: () => z.string().regex(ADDRESS, 'expected a 0x-prefixed 20-byte address'), json: { type: 'string', pattern: ADDRESS.source } },
+  hash: { zod: () => z.string().regex(HASH, 'expected a 0x-prefixed 32-byte hash'), json: { type: 'string', pattern: HASH.source } },
+  hex: { zod: () => z.string().regex(HEX, 'expected 0x-prefixed hex data'), json: { type: 'string', pattern: HEX.source } },
+  quantity: {
+    zod: () => z.union([z.string().regex(QUANTITY, 'expected a decimal or 0x-prefixed hex number'), z.number().int().nonnegative()]),
+    json: { oneOf: [{ type: 'string', pattern: QUANTITY.source }, { type: 'integer', minimum: 0 }] },
+    toRpc: toQuantity
+  },
+  block: {
+    zod: () => z.union([z.string(), z.number().int().nonnegative()]),
+    json: { oneOf: [{ type: 'string' }, { type: 'integer', minimum: 0 }], description: 'Block number (decimal or hex), tag (latest, safe, finalized, earliest, pending) or block hash' },
+    toRpc: toQuantity
+  },
+  integer: { zod: () => z.number().int(), json: { type: 'integer' } },
+  boolean: { zod: () => z.boolean(), json: { type: 'boolean' } },
+  object: { zod: () => z.record(z.any()), json: { type: 'object' } },
+  array: { zod: () => z.array(z.any()), json: { type: 'array' } },
+  any: { zod: () => z.any(), json: {} }
+};
+
+const paramSpec = z.object({
+  name: z.string().regex(/^[A-Za-z][A-Za-z0-9_]*$/).optional(),
+  type: z.enum(Object.keys(PARAM_TYPES)).default('string'),
+  description: z.string().optional(),
+  required: z.boolean().default(false),
+  default: z.any().optional(),
+  value: z.any().optional(),
+  enum: z.array(z.string()).nonempty().optional(),
+  position: z.number().int().nonnegative().optional(),
+  key: z.string().min(1).optional()
+}).strict().refine(p => (p.name === undefined) !== (p.value === undefined), 'a param needs either a name (a tool argument) or a constant value, not both');
+
+const toolSpec = z.object({
+  name: z.string().regex(TOOL_PREFIX, 'tool names must start with eth_, admin_, debug_ or txpool_').regex(/^[A-Za-z0-9_-]+$/),
+  method: z.string().regex(TOOL_PREFIX, 'RPC methods must start with eth_, admin_, debug_ or txpool_').optional(),
+  description: z.string().min(1),
+  params: z.array(paramSpec).default([]),
+  decimal: z.array(z.string()).default([]),
+  aliases: z.array(z.string().regex(/^[A-Za-z0-9_-]+$/)).default([]),
+  scope: z.enum(SCOPES).optional()
+}).strict();
+
+const configSpec = z.object({ tools: z.array(toolSpec) }).strict();
+
+function setPath(target, keyPath, value) {
+  const keys = keyPath.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) node = node[key] = node[key] && typeof node[key] === 'object' ? node[key] : {};
+  node[keys[keys.length - 1]] = value;
+}
+
+// Mirror hex fields as `<field>Decimal` siblings; '' converts the result itself
+function addDecimals(result, paths) {
+  let output = result;
+  for (const p of paths) {
+    if (p === '') {
+      const dec = hexToDecimalMaybe(result);
+      if (dec !== null) output = { result, resultDecimal: dec };
+      continue;
+    }
+    const keys = p.split('.');
+    const visit = (node, i) => {
+      if (!node || typeof node !== 'object') return;
+      const key = keys[i];
+      const children = key === '*' ? Object.keys(node) : [key];
+      for (const child of children) {
+        if (i < keys.length - 1) visit(node[child], i + 1);
+        else if (hexToDecimalMaybe(node[child]) !== null) node[`${child}Decimal`] = hexToDecimalMaybe(node[child]);
+      }
+    };
+    visit(output, 0);
+  }
+  return output;
+}
+
+// Turn one validated entry into { name, method, description, scope, aliases, zodSchema, jsonSchema, buildParams, formatResult }
+function compileTool(spec) {
+  const shape = {};
+  const properties = {};
+  const required = [];
+  for (const p of spec.params) {
+    if (!p.name) continue;
+    const type = PARAM_TYPES[p.type];
+    let validator = p.enum ? z.enum(p.enum) : type.zod();
+    if (!p.required) validator = validator.optional();
+    shape[p.name] = validator;
+    properties[p.name] = {
+      ...type.json,
+      ...(p.enum ? { type: 'string', enum: p.enum } : {}),
+      ...(p.description || type.json.description ? { description: p.description || type.json.description } : {}),
+      ...(p.default !== undefined ? { default: p.default } : {})
+    };
+    if (p.required) required.push(p.name);
+  }
+
+  function buildParams(args = {}) {
+    const params = [];
+    spec.params.forEach((p, index) => {
+      let value = p.name ? args[p.name] ?? p.default : p.value;
+      if (value === undefined) return;
+      if (PARAM_TYPES[p.type].toRpc) value = PARAM_TYPES[p.type].toRpc(value);
+      const position = p.position ?? index;
+      if (!p.key) {
+        params[position] = value;
+        return;
+      }
+      if (!params[position] || typeof params[position] !== 'object') params[position] = {};
+      setPath(params[position], p.key, value);
+    });
+    // Gaps left by omitted optional params become null; the array ends at the last given value
+    return Array.from(params, v => (v === undefined ? null : v));
+  }
+
+  return {
+    name: spec.name,
+    method: spec.method || spec.name,
+    description: spec.description,
+    scope: spec.scope || null,
+    aliases: spec.aliases,
+    zodSchema: z.object(shape),
+    jsonSchema: { type: 'object', properties, ...(required.length ? { required } : {}), additionalProperties: false },
+    buildParams,
+    formatResult: result => (spec.decimal.length ? addDecimals(result, spec.decimal) : result)
+  };
+}
+
+// Parse and validate a config file; throws one readable error listing every problem
+function loadToolConfig(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const raw = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  const parsed = configSpec.safeParse(raw);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`);
+    throw new Error(`Invalid tool config ${path.basename(file)}: ${issues.join('; ')}`);
+  }
+  const names = new Set();
+  for (const spec of parsed.data.tools) {
+    for (const name of [spec.name, ...spec.aliases]) {
+      if (names.has(name)) throw new Error(`Invalid tool config ${path.basename(file)}: "${name}" is declared twice`);
+      names.add(name);
+    }
+  }
+  return parsed.data.tools.map(compileTool);
+}
+
+// Call onChange whenever the file is modified (polling stat survives editors that replace the file)
+function watchToolConfig(file, onChange, intervalMs = 1000) {
+  const listener = (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) onChange();
+  };
+  fs.watchFile(file, { interval: intervalMs, persistent: false }, listener);
+  return () => fs.unwatchFile(file, listener);
+}
+
+module.exports = { loadToolConfig, watchToolConfig, compileTool, PARAM_TYPES };
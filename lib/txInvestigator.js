@@ -0,0 +1,178 @@
+// lib/txInvestigator.js - readable analysis of a mined transaction from Geth's callTracer/prestateTracer
+//
+// The nested callTracer tree is flattened into one row per frame (depth-first, so rows read in
+// execution order) with revert data decoded. Token movements come from the receipt's Transfer
+// logs, and prestateTracer in diff mode gives per-account balance, nonce, code and storage
+// changes. Results that would exceed maxBytes are shortened list by list and say what was cut.
+
+const { id: eventTopic, formatEther } = require('ethers');
+const abi = require('./abi');
+const { InvalidParamsError } = require('./errors');
+const { toBig, toNumber, hexToDecimalMaybe } = require('./hex');
+
+const TRANSFER_TOPIC = eventTopic('Transfer(address,address,uint256)');
+const ZERO_WORD = '0x' + '0'.repeat(64);
+
+const topicAddress = topic => '0x' + topic.slice(26);
+
+function frameLabel(iface, input) {
+  const selector = input && input.length >= 10 ? input.slice(0, 10) : null;
+  if (!selector) return { selector: null, method: null };
+  let method = null;
+  if (iface) {
+    try { method = iface.getFunction(selector)?.format('sighash') || null; } catch (_) { /* not in the ABI */ }
+  }
+  return { selector, method };
+}
+
+// Depth-first flattening of a callTracer tree
+function flattenCalls(root, iface) {
+  const frames = [];
+  const walk = (frame, depth, path, parentFailed) => {
+    const { selector, method } = frameLabel(iface, frame.input);
+    const failed = Boolean(frame.error);
+    const row = {
+      path,
+      depth,
+      type: frame.type,
+      from: frame.from,
+      to: frame.to ?? null,
+      value: hexToDecimalMaybe(frame.value) ?? '0',
+      gas: toNumber(frame.gas),
+      gasUsed: toNumber(frame.gasUsed),
+      selector,
+      method,
+      success: !failed,
+      // Effects of a successful frame are still discarded when an ancestor reverts
+      rolledBack: !failed && parentFailed
+    };
+    if (failed) {
+      row.error = frame.error;
+      row.revert = abi.decodeRevert(frame.output || '0x', iface) || null;
+      if (row.revert?.kind === 'unknown' && frame.revertReason) row.revert.message = frame.revertReason;
+    }
+    frames.push(row);
+    (frame.calls || []).forEach((child, i) => walk(child, depth + 1, `${path}.${i}`, parentFailed || failed));
+  };
+  if (root) walk(root, 0, '0', false);
+  return frames;
+}
+
+// ERC-20 (value in data) and ERC-721 (tokenId as 4th topic) Transfer events from receipt logs
+function tokenTransfers(logs = []) {
+  const transfers = [];
+  for (const log of logs) {
+    if (!log.topics || log.topics[0]?.toLowerCase() !== TRANSFER_TOPIC) continue;
+    const logIndex = toNumber(log.logIndex);
+    if (log.topics.length === 3 && log.data && log.data.length >= 66) {
+      transfers.push({ standard: 'ERC-20', token: log.address, from: topicAddress(log.topics[1]), to: topicAddress(log.topics[2]), value: BigInt(log.data.slice(0, 66)).toString(), logIndex });
+    } else if (log.topics.length === 4) {
+      transfers.push({ standard: 'ERC-721', token: log.address, from: topicAddress(log.topics[1]), to: topicAddress(log.topics[2]), tokenId: BigInt(log.topics[3]).toString(), logIndex });
+    }
+  }
+  return transfers;
+}
+
+// prestateTracer diffMode: `pre` holds the old values of everything touched, `post` only what
+// changed. An account missing from post was destroyed; a slot missing from post was zeroed.
+function stateChanges({ pre = {}, post = {} } = {}) {
+  const changes = [];
+  for (const address of new Set([...Object.keys(pre), ...Object.keys(post)])) {
+    const before = pre[address] || {};
+    const after = post[address];
+    const change = { address };
+    if (!after) change.destroyed = true;
+    const balanceAfter = after?.balance ?? (after ? undefined : '0x0');
+    if (balanceAfter !== undefined) {
+      const from = toBig(before.balance) ?? 0n;
+      const to = BigInt(balanceAfter);
+      change.balance = { before: from.toString(), after: to.toString(), delta: (to - from).toString(), deltaEther: formatEther(to - from) };
+    }
+    if (after?.nonce !== undefined) change.nonce = { before: before.nonce ?? 0, after: after.nonce };
+    if (after?.code !== undefined) change.codeChanged = true;
+    const slots = new Set([...Object.keys(before.storage || {}), ...Object.keys(after?.storage || {})]);
+    const storage = [];
+    for (const slot of slots) {
+      const from = before.storage?.[slot] ?? ZERO_WORD;
+      const to = after?.storage?.[slot] ?? ZERO_WORD;
+      if (from !== to) storage.push({ slot, before: from, after: to });
+    }
+    if (storage.length) change.storage = storage;
+    if (Object.keys(change).length > 1) changes.push(change);
+  }
+  return changes;
+}
+
+// Halve the longest list until the serialized result fits, recording how much was dropped
+function truncateToFit(result, lists, maxBytes) {
+  const omitted = {};
+  let size = Buffer.byteLength(JSON.stringify(result));
+  while (size > maxBytes) {
+    const longest = lists.filter(k => result[k]?.length).sort((a, b) => result[b].length - result[a].length)[0];
+    if (!longest) break;
+    const keep = Math.floor(result[longest].length / 2);
+    omitted[longest] = (omitted[longest] || 0) + result[longest].length - keep;
+    result[longest] = result[longest].slice(0, keep);
+    size = Buffer.byteLength(JSON.stringify(result));
+  }
+  if (Object.keys(omitted).length) result.truncated = { ...result.truncated, omitted, note: `Result cut to ${maxBytes} bytes; raise maxBytes or narrow the question` };
+  return result;
+}
+
+function createTxInvestigator({ rpc }) {
+  // options: { iface (ethers Interface for method names and custom errors), stateDiff, maxFrames, maxBytes }
+  async function investigate(hash, { iface = null, stateDiff = false, maxFrames = 200, maxBytes = 64 * 1024 } = {}) {
+    // Look the transaction up first: tracing an unknown or pending hash only yields Geth's "not found"
+    const [tx, receipt] = await Promise.all([
+      rpc('eth_getTransactionByHash', [hash]),
+      rpc('eth_getTransactionReceipt', [hash])
+    ]);
+    if (!tx) throw new InvalidParamsError(`Unknown transaction ${hash}`);
+    if (!receipt) throw new InvalidParamsError(`Transaction ${hash} is still pending; nothing to trace yet`);
+    const [trace, prestate] = await Promise.all([
+      rpc('debug_traceTransaction', [hash, { tracer: 'callTracer' }]),
+      stateDiff ? rpc('debug_traceTransaction', [hash, { tracer: 'prestateTracer', tracerConfig: { diffMode: true } }]) : null
+    ]);
+
+    let frames = flattenCalls(trace, iface);
+    const callCount = frames.length;
+    const failed = frames.filter(f => !f.success);
+    const top = frames[0];
+    const summary = {
+      hash,
+      status: receipt.status === '0x1' ? 'success' : 'reverted',
+      blockNumber: Number(BigInt(receipt.blockNumber)),
+      from: tx.from,
+      to: tx.to ?? null,
+      contractCreated: receipt.contractAddress || null,
+      valueWei: BigInt(tx.value).toString(),
+      valueEther: formatEther(BigInt(tx.value)),
+      gasLimit: Number(BigInt(tx.gas)),
+      gasUsed: Number(BigInt(receipt.gasUsed)),
+      effectiveGasPrice: hexToDecimalMaybe(receipt.effectiveGasPrice),
+      method: top ? top.method || top.selector : null,
+      callCount,
+      maxDepth: frames.reduce((max, f) => Math.max(max, f.depth), 0),
+      failedCalls: failed.length,
+      revert: top && !top.success ? top.revert : null
+    };
+
+    const truncated = {};
+    if (frames.length > maxFrames) {
+      truncated.calls = { kept: maxFrames, total: frames.length };
+      frames = frames.slice(0, maxFrames);
+    }
+    const result = {
+      summary,
+      calls: frames,
+      transfers: tokenTransfers(receipt.logs),
+      ...(stateDiff ? { stateChanges: stateChanges(prestate) } : {}),
+      ...(Object.keys(truncated).length ? { truncated } : {})
+    };
+    return truncateToFit(result, ['calls', 'transfers', 'stateChanges'], maxBytes);
+  }
+
+  return { investigate };
+}
+
+module.exports = { createTxInvestigator, flattenCalls, tokenTransfers, stateChanges };
@@ -0,0 +1,153 @@
+// lib/txPolicy.js - signed transaction decoding and pre-broadcast policy checks
+//
+// decodeRawTransaction() understands legacy, EIP-2930, EIP-1559 and EIP-4844 envelopes and
+// recovers the sender. evaluateTxPolicy() is pure: the caller gathers chain facts (chain id,
+// sender nonces, optional eth_call simulation) and gets back the list of violations.
+
+const fs = require('node:fs');
+const { Transaction, formatEther, getAddress } = require('ethers');
+const { InvalidParamsError } = require('./errors');
+
+const GAS_PER_BLOB = 131072n;
+
+function optBigInt(v) {
+  return v === null || v === undefined ? null : BigInt(v);
+}
+
+function str(v) {
+  return v === null || v === undefined ? null : v.toString();
+}
+
+function decodeRawTransaction(rawTx) {
+  if (typeof rawTx !== 'string' || !/^0x[0-9a-fA-F]+$/.test(rawTx)) {
+    throw new InvalidParamsError('rawTx must be a 0x-prefixed hex string');
+  }
+  let tx;
+  try {
+    tx = Transaction.from(rawTx);
+  } catch (e) {
+    throw new InvalidParamsError(`Malformed transaction: ${e?.shortMessage || e?.message || e}`);
+  }
+  if (!tx.signature || !tx.from) throw new InvalidParamsError('Transaction is not signed');
+
+  const feePerGas = tx.type >= 2 ? tx.maxFeePerGas : tx.gasPrice;
+  const blobCount = BigInt(tx.blobVersionedHashes?.length || 0);
+  const blobFeeCap = tx.type === 3 ? blobCount * GAS_PER_BLOB * (tx.maxFeePerBlobGas || 0n) : 0n;
+  const maxFeeWei = tx.gasLimit * (feePerGas || 0n) + blobFeeCap;
+  const data = tx.data || '0x';
+
+  return {
+    hash: tx.hash,
+    type: tx.type,
+    typeName: tx.typeName,
+    chainId: str(tx.chainId),
+    from: tx.from,
+    to: tx.to,
+    contractCreation: !tx.to,
+    nonce: tx.nonce,
+    value: str(tx.value),
+    valueEther: formatEther(tx.value),
+    gasLimit: str(tx.gasLimit),
+    gasPrice: tx.type < 2 ? str(tx.gasPrice) : null,
+    maxFeePerGas: str(tx.maxFeePerGas),
+    maxPriorityFeePerGas: str(tx.maxPriorityFeePerGas),
+    maxFeePerBlobGas: str(tx.maxFeePerBlobGas),
+    blobVersionedHashes: tx.type === 3 ? tx.blobVersionedHashes : null,
+    accessList: tx.type >= 1 ? tx.accessList : null,
+    data,
+    dataSize: (data.length - 2) / 2,
+    selector: data.length >= 10 ? data.slice(0, 10) : null,
+    maxFeeWei: maxFeeWei.toString(),
+    maxFeeEther: formatEther(maxFeeWei),
+    maxCostWei: (maxFeeWei + tx.value).toString(),
+    signature: { r: tx.signature.r, s: tx.signature.s, yParity: tx.signature.yParity, v: tx.signature.v }
+  };
+}
+
+function parseList(v) {
+  if (Array.isArray(v)) return v;
+  return String(v || '').split(/[\s,]+/).filter(Boolean);
+}
+
+function parseBool(v, fallback) {
+  if (v === undefined || v === null || v === '') return fallback;
+  return v === true || /^(1|true|yes|on)$/i.test(String(v));
+}
+
+// Policy from TX_POLICY_FILE (JSON) with TX_* env vars overriding individual fields
+function loadTxPolicy(env = process.env) {
+  let file = {};
+  if (env.TX_POLICY_FILE) file = JSON.parse(fs.readFileSync(env.TX_POLICY_FILE, 'utf8'));
+  const pick = (envKey, fileKey) => (env[envKey] !== undefined && env[envKey] !== '' ? env[envKey] : file[fileKey]);
+
+  const recipients = parseList(pick('TX_ALLOWED_RECIPIENTS', 'allowedRecipients')).map(a => getAddress(a.toLowerCase()));
+  return {
+    allowedRecipients: recipients.length ? recipients : null, // null = any recipient
+    allowContractCreation: parseBool(pick('TX_ALLOW_CONTRACT_CREATION', 'allowContractCreation'), false),
+    maxValueWei: optBigInt(pick('TX_MAX_VALUE_WEI', 'maxValueWei')),
+    maxFeeWei: optBigInt(pick('TX_MAX_FEE_WEI', 'maxFeeWei')),
+    maxNonceGap: Number(pick('TX_MAX_NONCE_GAP', 'maxNonceGap') ?? 0),
+    allowUnprotected: parseBool(pick('TX_ALLOW_UNPROTECTED', 'allowUnprotected'), false), // pre-EIP-155 legacy txs
+    simulate: parseBool(pick('TX_SIMULATE', 'simulate'), false)
+  };
+}
+
+function describePolicy(policy) {
+  return {
+    allowedRecipients: policy.allowedRecipients,
+    allowContractCreation: policy.allowContractCreation,
+    maxValueWei: str(policy.maxValueWei),
+    maxFeeWei: str(policy.maxFeeWei),
+    maxNonceGap: policy.maxNonceGap,
+    allowUnprotected: policy.allowUnprotected,
+    simulate: policy.simulate
+  };
+}
+
+// chain: { chainId: bigint, nonceLatest: number, noncePending: number, simulation?: { ok, revert?, error? } }
+function evaluateTxPolicy(tx, policy, chain) {
+  const violations = [];
+  const add = (rule, message) => violations.push({ rule, message });
+
+  if (tx.chainId === '0') {
+    if (!policy.allowUnprotected) add('chainId', 'Transaction has no chain ID (pre-EIP-155 replayable signature)');
+  } else if (chain.chainId !== undefined && BigInt(tx.chainId) !== chain.chainId) {
+    add('chainId', `Transaction chain ID ${tx.chainId} does not match node chain ID ${chain.chainId}`);
+  }
+
+  if (tx.contractCreation) {
+    if (!policy.allowContractCreation) add('recipient', 'Contract creation is not allowed by policy');
+  } else if (policy.allowedRecipients && !policy.allowedRecipients.includes(getAddress(tx.to))) {
+    add('recipient', `Recipient ${tx.to} is not in the allowlist`);
+  }
+
+  if (policy.maxValueWei !== null && BigInt(tx.value) > policy.maxValueWei) {
+    add('maxValue', `Value ${tx.value} wei exceeds policy maximum ${policy.maxValueWei} wei`);
+  }
+  if (policy.maxFeeWei !== null && BigInt(tx.maxFeeWei) > policy.maxFeeWei) {
+    add('maxFee', `Maximum fee ${tx.maxFeeWei} wei exceeds policy maximum ${policy.maxFeeWei} wei`);
+  }
+
+  if (chain.nonceLatest !== undefined && tx.nonce < chain.nonceLatest) {
+    add('nonce', `Nonce ${tx.nonce} already used (sender's confirmed nonce is ${chain.nonceLatest})`);
+  } else if (chain.noncePending !== undefined && tx.nonce > chain.noncePending + policy.maxNonceGap) {
+    add('nonce', `Nonce ${tx.nonce} leaves a gap (next pending nonce is ${chain.noncePending}, allowed gap ${policy.maxNonceGap})`);
+  }
+
+  if (chain.simulation && !chain.simulation.ok) {
+    const reason = chain.simulation.revert?.message || chain.simulation.error || 'unknown reason';
+    add('simulation', `eth_call simulation failed: ${reason}`);
+  }
+
+  return { allowed: violations.length === 0, violations };
+}
+
+// eth_call request mirroring the signed transaction (blob sidecar fields are not needed to execute)
+function simulationCall(tx) {
+  const call = { from: tx.from, data: tx.data, value: '0x' + BigInt(tx.value).toString(16), gas: '0x' + BigInt(tx.gasLimit).toString(16) };
+  if (tx.to) call.to = tx.to;
+  if (tx.accessList && tx.accessList.length) call.accessList = tx.accessList;
+  return call;
+}
+
+module.exports = { decodeRawTransaction, loadTxPolicy, describePolicy, evaluateTxPolicy, simulationCall, parseBool };
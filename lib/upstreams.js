@@ -0,0 +1,290 @@
+// lib/upstreams.js - pool of Geth JSON-RPC upstreams with failover and health scoring
+//
+// Each upstream tracks a latency EWMA, error counters and its last-seen block height.
+// Requests go to the best-scored healthy upstream first and fail over to the next one on
+// timeouts, network errors and HTTP 5xx. Idempotent methods are retried with backoff once
+// every upstream has been tried; anything that can change state is never re-sent after a
+// timeout, because the node may already have accepted it.
+
+const crypto = require('node:crypto');
+
+// Methods that must not be re-sent blindly (broadcasts, account/node mutations)
+const NON_IDEMPOTENT_METHODS = new Set([
+  'eth_sendRawTransaction',
+  'eth_sendTransaction',
+  'eth_signTransaction',
+  'admin_addPeer',
+  'admin_removePeer',
+  'admin_addTrustedPeer',
+  'admin_removeTrustedPeer',
+  'admin_startHTTP',
+  'admin_stopHTTP',
+  'admin_startWS',
+  'admin_stopWS',
+  'debug_setHead'
+]);
+
+const LATENCY_ALPHA = 0.3; // EWMA weight of the newest latency sample
+const FAILURE_PENALTY_MS = 1000; // Score penalty per consecutive failure
+const LAG_PENALTY_MS = 250; // Score penalty per block behind the best upstream
+
+function isIdempotent(method) {
+  return !NON_IDEMPOTENT_METHODS.has(method);
+}
+
+// Parse a comma/whitespace separated upstream list; GETH_URLS wins over the single GETH_URL
+function parseUpstreamUrls(env = process.env) {
+  const raw = env.GETH_URLS || env.GETH_URL || '';
+  return raw
+    .split(/[\s,]+/)
+    .map(u => u.trim())
+    .filter(Boolean)
+    .map(u => (u.endsWith('/') ? u.slice(0, -1) : u)); // Normalize URL to avoid accidental double slashes
+}
+
+// Labels are logged and exposed via the health route, metrics and _meta, so they keep only the
+// origin: credentials are dropped and a path/query (where hosted providers put API keys, e.g.
+// /v3/<key>) is replaced by a short hash that still tells two endpoints on one host apart.
+function labelFor(url) {
+  try {
+    const u = new URL(url);
+    const rest = `${u.pathname === '/' ? '' : u.pathname}${u.search}`;
+    const digest = rest ? `/~${crypto.createHash('sha256').update(rest).digest('hex').slice(0, 8)}` : '';
+    return `${u.protocol}//${u.host}${digest}`;
+  } catch {
+    return '(invalid upstream URL)';
+  }
+}
+
+class UpstreamError extends Error {
+  constructor(message, { upstream, retryable = false, timeout = false, status } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.upstream = upstream;
+    this.retryable = retryable;
+    this.timeout = timeout;
+    this.status = status;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createUpstreamPool(urls, options = {}) {
+  const {
+    timeoutMs = 8000,
+    retries = 2,
+    retryBaseMs = 200,
+    maxBlockLag = 5,
+    cooldownMs = 30_000,
+    failureThreshold = 3,
+    healthIntervalMs = 15_000,
+    fetchImpl = (...args) => fetch(...args),
+    onResult = null // (label, method, durationMs, outcome) after every upstream attempt; used for metrics
+  } = options;
+
+  const upstreams = urls.map((url, index) => ({
+    url,
+    label: labelFor(url),
+    index,
+    latencyMs: null,
+    requests: 0,
+    inFlight: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    lastError: null,
+    lastErrorAt: null,
+    lastSuccessAt: null,
+    blockHeight: null,
+    blockHeightAt: null,
+    cooldownUntil: 0
+  }));
+  let healthTimer = null;
+
+  function bestHeight() {
+    return upstreams.reduce((max, u) => (u.blockHeight !== null && u.blockHeight > max ? u.blockHeight : max), 0);
+  }
+
+  function lagOf(u) {
+    if (u.blockHeight === null) return null;
+    return Math.max(0, bestHeight() - u.blockHeight);
+  }
+
+  function isHealthy(u, now = Date.now()) {
+    if (u.cooldownUntil > now) return false;
+    const lag = lagOf(u);
+    return lag === null || lag <= maxBlockLag;
+  }
+
+  // Lower is better: observed latency plus penalties for recent failures and block lag
+  function scoreOf(u) {
+    const latency = u.latencyMs === null ? 0 : u.latencyMs;
+    const lag = lagOf(u) || 0;
+    return latency + u.consecutiveFailures * FAILURE_PENALTY_MS + lag * LAG_PENALTY_MS;
+  }
+
+  // Healthy upstreams first by score, then the rest; configuration order breaks ties
+  function ranked() {
+    const now = Date.now();
+    return [...upstreams].sort((a, b) => {
+      const ha = isHealthy(a, now), hb = isHealthy(b, now);
+      if (ha !== hb) return ha ? -1 : 1;
+      return (scoreOf(a) - scoreOf(b)) || (a.index - b.index);
+    });
+  }
+
+  function recordSuccess(u, latency) {
+    u.latencyMs = u.latencyMs === null ? latency : Math.round(LATENCY_ALPHA * latency + (1 - LATENCY_ALPHA) * u.latencyMs);
+    u.consecutiveFailures = 0;
+    u.cooldownUntil = 0;
+    u.lastSuccessAt = Date.now();
+  }
+
+  function recordFailure(u, err) {
+    u.failures += 1;
+    u.consecutiveFailures += 1;
+    u.lastError = err?.message || String(err);
+    u.lastErrorAt = Date.now();
+    if (u.consecutiveFailures >= failureThreshold) u.cooldownUntil = Date.now() + cooldownMs;
+  }
+
+  function recordBlockHeight(u, hex) {
+    if (typeof hex !== 'string' || !/^0x[0-9a-fA-F]+$/.test(hex)) return;
+    u.blockHeight = Number(BigInt(hex));
+    u.blockHeightAt = Date.now();
+  }
+
+  // Single POST to one upstream; returns the parsed JSON-RPC envelope
+  async function send(u, body, { timeoutIsFailure = true, timeoutMs: limitMs = timeoutMs } = {}) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), limitMs);
+    const started = Date.now();
+    const method = Array.isArray(body) ? 'batch' : body.method;
+    let outcome = 'ok';
+    u.requests += 1;
+    u.inFlight += 1;
+    try {
+      const res = await fetchImpl(u.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      }).catch(e => {
+        if (e.name === 'AbortError') throw new UpstreamError('Upstream request timed out', { upstream: u.label, retryable: true, timeout: true });
+        throw new UpstreamError(`Upstream unreachable: ${e?.cause?.code || e?.message || e}`, { upstream: u.label, retryable: true });
+      });
+      if (!res.ok) {
+        // 5xx and 429 are the node (or a gateway in front of it) being unwell; 4xx is our fault
+        const retryable = res.status >= 500 || res.status === 429;
+        throw new UpstreamError(`Upstream HTTP ${res.status} ${res.statusText}`, { upstream: u.label, retryable, status: res.status });
+      }
+      const data = await res.json().catch(() => {
+        throw new UpstreamError('Upstream returned invalid JSON', { upstream: u.label, retryable: true });
+      });
+      if (data && data.error) outcome = 'rpc_error';
+      recordSuccess(u, Date.now() - started);
+      return data;
+    } catch (err) {
+      outcome = err.timeout ? 'timeout' : err.status ? 'http_error' : 'unreachable';
+      if (err instanceof UpstreamError && err.retryable && (timeoutIsFailure || !err.timeout)) recordFailure(u, err);
+      throw err;
+    } finally {
+      clearTimeout(timeout);
+      u.inFlight -= 1;
+      if (onResult) onResult(u.label, method, Date.now() - started, outcome);
+    }
+  }
+
+  // Send a JSON-RPC body (single object or batch array) with failover and retries.
+  // Resolves to { data, upstream } where data is the raw JSON-RPC response envelope(s).
+  // retry: false skips the backoff rounds (callers that adapt on failure themselves).
+  // timeoutIsFailure: false marks a request that may legitimately be too heavy to finish in time
+  // (a wide eth_getLogs window): a timeout is thrown straight back without failing over and is
+  // not held against the upstream's health. timeoutMs overrides the pool's per-attempt timeout.
+  // upstream (a label) pins the request to that node with no failover, whatever its health: node
+  // state such as a filter id exists only there, so another node's answer would be wrong.
+  async function request(body, { idempotent = true, retry = true, timeoutIsFailure = true, timeoutMs: limitMs = timeoutMs, upstream: pinned = null } = {}) {
+    if (!upstreams.length) throw new Error('Missing GETH_URL in environment');
+    const candidates = () => (pinned ? upstreams.filter(u => u.label === pinned) : ranked());
+    if (pinned && !candidates().length) throw new UpstreamError(`Unknown upstream ${pinned}`, { upstream: pinned });
+    const attempts = idempotent && retry ? retries + 1 : 1;
+    let lastErr;
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      if (attempt > 0) await sleep(retryBaseMs * 2 ** (attempt - 1));
+      for (const u of candidates()) {
+        try {
+          const data = await send(u, body, { timeoutIsFailure, timeoutMs: limitMs });
+          return { data, upstream: u.label };
+        } catch (err) {
+          lastErr = err;
+          if (!(err instanceof UpstreamError) || !err.retryable) throw err;
+          if (err.timeout && !timeoutIsFailure) throw err;
+          // A timed-out broadcast may have landed; do not fire it at a second node
+          if (!idempotent && err.timeout) throw err;
+          if (!pinned) console.warn(`[upstreams] ${u.label} failed (${err.message}), trying next upstream`);
+        }
+      }
+    }
+    throw lastErr;
+  }
+
+  // Convenience for a single call; JSON-RPC errors are returned as-is for the caller to map
+  async function call(method, params, { retry = true, timeoutIsFailure = true, timeoutMs: limitMs = timeoutMs, upstream: pinned = null } = {}) {
+    const { data, upstream } = await request(
+      { jsonrpc: '2.0', method, params, id: Date.now() },
+      { idempotent: isIdempotent(method), retry, timeoutIsFailure, timeoutMs: limitMs, upstream: pinned }
+    );
+    if (method === 'eth_blockNumber' && data && !data.error) {
+      const u = upstreams.find(x => x.label === upstream);
+      if (u) recordBlockHeight(u, data.result);
+    }
+    return { data, upstream };
+  }
+
+  // Probe every upstream's head so lag can be scored even for idle backups
+  async function probe() {
+    await Promise.all(upstreams.map(async u => {
+      try {
+        const data = await send(u, { jsonrpc: '2.0', method: 'eth_blockNumber', params: [], id: Date.now() });
+        if (data && !data.error) recordBlockHeight(u, data.result);
+      } catch (err) {
+        if (!(err instanceof UpstreamError)) recordFailure(u, err);
+      }
+    }));
+  }
+
+  function startHealthChecks() {
+    if (healthTimer || !upstreams.length || healthIntervalMs <= 0) return;
+    probe().catch(() => { /* best effort */ });
+    healthTimer = setInterval(() => { probe().catch(() => { /* best effort */ }); }, healthIntervalMs);
+    healthTimer.unref();
+  }
+
+  function stopHealthChecks() {
+    if (healthTimer) clearInterval(healthTimer);
+    healthTimer = null;
+  }
+
+  function status() {
+    const now = Date.now();
+    return upstreams.map(u => ({
+      url: u.label,
+      healthy: isHealthy(u, now),
+      score: Math.round(scoreOf(u)),
+      latencyMs: u.latencyMs,
+      requests: u.requests,
+      inFlight: u.inFlight,
+      failures: u.failures,
+      consecutiveFailures: u.consecutiveFailures,
+      blockHeight: u.blockHeight,
+      blockLag: lagOf(u),
+      coolingDownMs: u.cooldownUntil > now ? u.cooldownUntil - now : 0,
+      lastError: u.lastError,
+      lastErrorAt: u.lastErrorAt ? new Date(u.lastErrorAt).toISOString() : null,
+      lastSuccessAt: u.lastSuccessAt ? new Date(u.lastSuccessAt).toISOString() : null
+    }));
+  }
+
+  return { request, call, probe, startHealthChecks, stopHealthChecks, status, bestHeight, size: upstreams.length };
+}
+
+module.exports = { createUpstreamPool, parseUpstreamUrls, isIdempotent, labelFor, UpstreamError, NON_IDEMPOTENT_METHODS };
@@ -3,19 +3,156 @@ SPDX-License-Identifier; MIT
 // mcpServer.js - copyright (c) 2025 John Hauger Mitander
 require('dotenv').config();
 
+// Transport mode: --stdio (or MCP_TRANSPORT=stdio) serves MCP over stdin/stdout; MCP_TRANSPORT=both adds HTTP
+const transportMode = process.argv.includes('--stdio') ? 'stdio' : String(process.env.MCP_TRANSPORT || 'http').toLowerCase();
+const stdioEnabled = require.main === module && (transportMode === 'stdio' || transportMode === 'both');
+if (stdioEnabled) {
+  // stdout carries the protocol stream; every log line must go to stderr
+  for (const level of ['log', 'info', 'debug']) console[level] = (...args) => console.error(...args);
+}
+
+const { AsyncLocalStorage } = require('node:async_hooks');
+const path = require('node:path');
 const express = require('express');
 const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
-const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
 const { z } = require('zod');
+const { createUpstreamPool, parseUpstreamUrls, isIdempotent } = require('./lib/upstreams');
+const { createSessionStore } = require('./lib/sessions');
+const { createResponseCache } = require('./lib/responseCache');
+const { createAuth, scopeForTool, FORBIDDEN_CODE, RATE_LIMITED_CODE } = require('./lib/auth');
+const { createMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { startStdioTransport } = require('./lib/stdioTransport');
+const abi = require('./lib/abi');
+const txInspect = require('./lib/txPolicy');
+const { createLogsPager } = require('./lib/logsPager');
+const { createChainWatcher, SUBSCRIPTION_KINDS } = require('./lib/chainWatcher');
+const { createSubscriptionHub } = require('./lib/subscriptions');
+const { createResourceCatalog, ResourceNotFoundError } = require('./lib/resources');
+const { createPromptCatalog } = require('./lib/prompts');
+const { createTxInvestigator } = require('./lib/txInvestigator');
+const { loadToolConfig, watchToolConfig } = require('./lib/toolConfig');
+const { verifyAccountProof } = require('./lib/proofVerifier');
+const { createJournal, REPLAY_URL } = require('./lib/journal');
+const { createFeeMarket } = require('./lib/feeMarket');
+const { createNodeHealth } = require('./lib/nodeHealth');
+const { createPortfolio, MULTICALL3_ADDRESS } = require('./lib/portfolio');
+const { InvalidParamsError, GethRpcError, errorClass, describeError, toolErrorResult } = require('./lib/errors');
+const { toQuantity, hexToDecimalMaybe } = require('./lib/hex');
 
 const app = express();
 const port = process.env.PORT ? Number(process.env.PORT) : 3000;
 
+// Record/replay journal (JOURNAL_MODE=record|replay): audit trail of tool calls and offline fixtures
+const journal = createJournal({
+  mode: process.env.JOURNAL_MODE,
+  file: process.env.JOURNAL_FILE || 'journal.jsonl',
+  getContext: () => callContext.getStore()
+});
+
 // Basic upfront env validation
-if (!process.env.GETH_URL) {
-  console.warn('[mcpServer] Warning: GETH_URL not set. All tools will fail until it is provided.');
+const upstreamUrls = journal.replaying ? [REPLAY_URL] : parseUpstreamUrls();
+if (!upstreamUrls.length) {
+  console.warn('[mcpServer] Warning: GETH_URL (or GETH_URLS) not set. All tools will fail until it is provided.');
 }
 
+// Prometheus metrics for the proxy itself (GET /metrics)
+const metrics = createMetrics();
+const rpcRequestsTotal = metrics.counter('mcp_rpc_requests_total', 'MCP JSON-RPC requests received, by method', ['method']);
+const toolCallsTotal = metrics.counter('mcp_tool_calls_total', 'Tool calls by tool and outcome', ['tool', 'outcome']);
+const toolErrorsTotal = metrics.counter('mcp_tool_errors_total', 'Failed tool calls by tool and error class', ['tool', 'class']);
+const toolCallDuration = metrics.histogram('mcp_tool_call_duration_seconds', 'Tool call latency including upstream round trips', ['tool']);
+const toolCallsInFlight = metrics.gauge('mcp_tool_calls_in_flight', 'Tool calls currently executing');
+const upstreamRequestsTotal = metrics.counter('geth_upstream_requests_total', 'Requests sent to upstream Geth nodes, by outcome', ['upstream', 'method', 'outcome']);
+const upstreamRequestDuration = metrics.histogram('geth_upstream_request_duration_seconds', 'Upstream Geth request latency', ['upstream', 'method']);
+const upstreamInFlight = metrics.gauge('geth_upstream_in_flight_requests', 'Requests currently awaiting an upstream response', ['upstream']);
+const upstreamHealthy = metrics.gauge('geth_upstream_healthy', '1 when the upstream is considered healthy', ['upstream']);
+const upstreamBlock = metrics.gauge('geth_upstream_last_seen_block', 'Last block height seen from each upstream', ['upstream']);
+const lastSeenBlock = metrics.gauge('geth_last_seen_block', 'Highest block height seen across upstreams');
+const cacheRequestsTotal = metrics.counter('mcp_cache_requests_total', 'Response cache lookups by result', ['result']);
+const cacheBypassedTotal = metrics.counter('mcp_cache_bypassed_total', 'Cache misses whose response could not be cached (block tags, pending data)');
+const cacheEntries = metrics.gauge('mcp_cache_entries', 'Entries held by the response cache');
+const KNOWN_RPC_METHODS = new Set([
+  'initialize', 'ping', 'tools/list', 'tools/call',
+  'resources/list', 'resources/templates/list', 'resources/read', 'resources/subscribe', 'resources/unsubscribe',
+  'prompts/list', 'prompts/get'
+]);
+
+// Upstream Geth nodes, tried in health-score order (GETH_URLS=primary,backup,...)
+const upstreamPool = createUpstreamPool(upstreamUrls, {
+  timeoutMs: Number(process.env.GETH_TIMEOUT_MS) || 8000,
+  retries: process.env.GETH_RETRIES !== undefined ? Number(process.env.GETH_RETRIES) : 2,
+  retryBaseMs: Number(process.env.GETH_RETRY_BASE_MS) || 200,
+  maxBlockLag: Number(process.env.GETH_MAX_BLOCK_LAG) || 5,
+  healthIntervalMs: process.env.GETH_HEALTH_INTERVAL_MS !== undefined ? Number(process.env.GETH_HEALTH_INTERVAL_MS) : 15_000,
+  fetchImpl: journal.fetchImpl,
+  onResult: (upstream, method, durationMs, outcome) => {
+    upstreamRequestsTotal.inc({ upstream, method, outcome });
+    upstreamRequestDuration.observe({ upstream, method }, durationMs / 1000);
+  }
+});
+
+// Cache for immutable responses (mined txs/receipts, finalized blocks, state at a block hash)
+const responseCache = createResponseCache({
+  maxEntries: process.env.CACHE_MAX_ENTRIES !== undefined ? Number(process.env.CACHE_MAX_ENTRIES) : 5000,
+  maxBytes: Number(process.env.CACHE_MAX_BYTES) || 64 * 1024 * 1024,
+  finalityDepth: Number(process.env.CACHE_FINALITY_DEPTH) || 64,
+  rpc: async (method, params) => {
+    const { data } = await upstreamPool.call(method, params);
+    if (data.error) throw new GethRpcError(method, data.error);
+    return data.result;
+  }
+});
+
+metrics.onCollect(() => {
+  for (const u of upstreamPool.status()) {
+    upstreamInFlight.set({ upstream: u.url }, u.inFlight);
+    upstreamHealthy.set({ upstream: u.url }, u.healthy ? 1 : 0);
+    if (u.blockHeight !== null) upstreamBlock.set({ upstream: u.url }, u.blockHeight);
+  }
+  lastSeenBlock.set({}, upstreamPool.bestHeight());
+  const cache = responseCache.status();
+  cacheRequestsTotal.set({ result: 'hit' }, cache.hits);
+  cacheRequestsTotal.set({ result: 'miss' }, cache.misses);
+  cacheBypassedTotal.set({}, cache.bypassed);
+  cacheEntries.set({}, cache.entries);
+});
+
+// Streamable HTTP sessions (Mcp-Session-Id issued on initialize, SSE via GET, teardown via DELETE)
+const sessionStore = createSessionStore({
+  ttlMs: Number(process.env.MCP_SESSION_TTL_MS) || 30 * 60_000,
+  maxSessions: Number(process.env.MAX_SESSIONS) || 1000
+});
+
+// Live chain events: eth_subscribe over GETH_WS_URL, or filter polling through the upstream pool
+const chainWatcher = createChainWatcher({
+  wsUrl: process.env.GETH_WS_URL || null,
+  pollIntervalMs: Number(process.env.SUBSCRIPTION_POLL_INTERVAL_MS) || 4000,
+  requestTimeoutMs: Number(process.env.GETH_TIMEOUT_MS) || 8000,
+  rpc: (method, params) => queryGeth(method, params),
+  // Filter ids live on the node that created them: poll that upstream, not the pool's best
+  filterRpc: async (method, params, upstream) => {
+    const { data, upstream: label } = await upstreamPool.call(method, params, { upstream });
+    if (data.error) throw new GethRpcError(method, data.error);
+    return { result: data.result, upstream: label };
+  }
+});
+const subscriptionHub = createSubscriptionHub({ watcher: chainWatcher, sessionStore });
+sessionStore.onClose(session => subscriptionHub.closeSession(session.id));
+
+// MCP resources (geth:// URIs read live from the node) and built-in prompts that embed them
+const resourceCatalog = createResourceCatalog({ rpc: (method, params) => queryGeth(method, params), subscriptions: subscriptionHub });
+const promptCatalog = createPromptCatalog({ readResource: resourceCatalog.read });
+
+// Bearer API keys with scopes and rate limits (API_KEYS_FILE); disabled when no keys are configured
+const auth = createAuth();
+if (auth.enabled) console.log(`[mcpServer] API key auth enabled (${auth.keyCount} key(s))`);
+
+// Pre-broadcast policy for eth_sendRawTransaction (TX_POLICY_FILE and TX_* env vars)
+const txPolicy = txInspect.loadTxPolicy();
+
+// Per tools/call context (which upstreams served the call); read by queryGeth
+const callContext = new AsyncLocalStorage();
+
 // Shared McpServer instance (tools registered once)
 const mcpServer = new McpServer({
   name: 'geth-mcp-proxy',
@@ -27,10 +164,11 @@ const mcpServer = new McpServer({
 const registeredToolNames = [];
 const registeredToolSchemas = {};
 const registeredToolHandlers = {};
+const sdkToolHandles = {}; // SDK registrations, removed again when a config reload drops a tool
 function normalizeToolName(name) {
   return String(name || '')
 }
-function registerTool(name, schema, handler, jsonSchema) {
+function registerTool(name, schema, handler, jsonSchema, scope = scopeForTool(name)) {
   const safeName = normalizeToolName(name);
   if (safeName !== name) {
     console.warn(`[mcpServer] Normalizing tool name "${name}" -> "${safeName}" to satisfy [a-z0-9_-]`);
@@ -42,8 +180,13 @@ function registerTool(name, schema, handler, jsonSchema) {
   }
   registeredToolNames.push(safeName);
   if (jsonSchema) registeredToolSchemas[safeName] = { inputSchema: jsonSchema, description: schema.description };
-  registeredToolHandlers[safeName] = { handler, schema };
-  mcpServer.registerTool(safeName, schema, handler); // Keep SDK registration for future streaming use
+  // name/scope stay those of the canonical tool when an alias shares this entry
+  registeredToolHandlers[safeName] = { handler, schema, name: safeName, scope };
+  try {
+    sdkToolHandles[safeName] = mcpServer.registerTool(safeName, schema, handler); // Keep SDK registration for future streaming use
+  } catch (e) {
+    console.warn(`[mcpServer] SDK registerTool failed for "${safeName}": ${e?.message || e}`);
+  }
 }
 
 // Helper: register a friendly alias that maps to an existing tool handler/schema
@@ -61,59 +204,98 @@ function registerAlias(aliasName, targetName, descriptionOverride) {
   if (targetSchema) registeredToolSchemas[alias] = { inputSchema: targetSchema, description: descriptionOverride || `Alias of ${target}: ${targetDesc}` };
   registeredToolHandlers[alias] = registeredToolHandlers[target];
   try {
-    mcpServer.registerTool(alias, { description: descriptionOverride || `Alias of ${target}: ${targetDesc}`, inputSchema: registeredToolHandlers[target].schema.inputSchema }, registeredToolHandlers[target].handler);
+    sdkToolHandles[alias] = mcpServer.registerTool(alias, { description: descriptionOverride || `Alias of ${target}: ${targetDesc}`, inputSchema: registeredToolHandlers[target].schema.inputSchema }, registeredToolHandlers[target].handler);
   } catch (e) {
     // Some SDKs may restrict non-prefixed names; keep our own handler map regardless
     console.warn(`[mcpServer] SDK registerTool failed for alias "${alias}": ${e?.message || e}`);
   }
 }
 
-// Helper: perform JSON-RPC to Geth
-async function queryGeth(method, params) {
-  const { GETH_URL } = process.env;
-  if (!GETH_URL) {
-    throw new Error('Missing GETH_URL in environment');
-  }
-
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 8000);
-
-  // Normalize URL to avoid accidental double slashes
-  let normalized = GETH_URL;
-  if (normalized.endsWith('/')) normalized = normalized.slice(0, -1);
-  const url = normalized;
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ jsonrpc: '2.0', method, params, id: Date.now() }),
-    signal: controller.signal
-  }).catch(e => {
-    if (e.name === 'AbortError') throw new Error('Upstream request timed out');
-    throw e;
-  });
-
-  clearTimeout(timeout);
+// Helper: drop a tool or alias again (config reloads)
+function unregisterTool(name) {
+  const index = registeredToolNames.indexOf(name);
+  if (index !== -1) registeredToolNames.splice(index, 1);
+  delete registeredToolSchemas[name];
+  delete registeredToolHandlers[name];
+  try { sdkToolHandles[name]?.remove?.(); } catch (_) { /* older SDKs cannot remove tools */ }
+  delete sdkToolHandles[name];
+}
 
-  if (!res.ok) {
-    throw new Error(`Upstream HTTP ${res.status} ${res.statusText}`);
+// Helper: perform JSON-RPC to Geth through the upstream pool (failover, retries, health scoring).
+// options.retry = false skips backoff retries for callers that adapt on failure themselves.
+async function queryGeth(method, params, options) {
+  const ctx = callContext.getStore();
+  const cached = responseCache.get(method, params);
+  if (cached !== undefined) {
+    if (ctx && !ctx.upstreams.includes('cache')) ctx.upstreams.push('cache');
+    return cached;
   }
+  const { data, upstream } = await upstreamPool.call(method, params, options);
+  // Remember which upstream served this call so tools/call can report it
+  if (ctx && !ctx.upstreams.includes(upstream)) ctx.upstreams.push(upstream);
+  // Keeps the JSON-RPC code and data (e.g. revert payload) for callers that decode them
+  if (data.error) throw new GethRpcError(method, data.error);
+  responseCache.store(method, params, data.result);
+  return data.result;
+}
 
-  const data = await res.json();
-  if (data.error) {
-    throw new Error(`Geth error: ${data.error.message}`);
+// Helper: many read calls as JSON-RPC batches (RPC_BATCH_SIZE per request). Resolves to one
+// { result } or { error } (a GethRpcError) per call, in order; cached answers are not re-sent.
+const RPC_BATCH_SIZE = Number(process.env.RPC_BATCH_SIZE) || 100;
+async function queryGethBatch(calls) {
+  const ctx = callContext.getStore();
+  const replies = calls.map(({ method, params }) => {
+    const cached = responseCache.get(method, params);
+    return cached === undefined ? null : { result: cached };
+  });
+  if (ctx && replies.some(Boolean) && !ctx.upstreams.includes('cache')) ctx.upstreams.push('cache');
+  const pending = replies.map((reply, index) => (reply ? -1 : index)).filter(index => index !== -1);
+  for (let offset = 0; offset < pending.length; offset += RPC_BATCH_SIZE) {
+    const chunk = pending.slice(offset, offset + RPC_BATCH_SIZE);
+    const body = chunk.map(index => ({ jsonrpc: '2.0', method: calls[index].method, params: calls[index].params, id: index }));
+    const { data, upstream } = await upstreamPool.request(body, { idempotent: body.every(b => isIdempotent(b.method)) });
+    if (ctx && !ctx.upstreams.includes(upstream)) ctx.upstreams.push(upstream);
+    // Nodes that reject a batch (too large, batching disabled) answer with a single error object
+    if (!Array.isArray(data)) throw new GethRpcError(body[0].method, data?.error || { message: 'Upstream did not answer the batch with an array' });
+    const byId = new Map(data.map(item => [item.id, item]));
+    for (const index of chunk) {
+      const item = byId.get(index);
+      const { method, params } = calls[index];
+      if (!item) replies[index] = { error: new GethRpcError(method, { message: 'Missing from the batch response' }) };
+      else if (item.error) replies[index] = { error: new GethRpcError(method, item.error) };
+      else {
+        responseCache.store(method, params, item.result);
+        replies[index] = { result: item.result };
+      }
+    }
   }
-  return data.result;
+  return replies;
 }
 
-function hexToDecimalMaybe(hex) {
-  if (typeof hex === 'string' && /^0x[0-9a-fA-F]+$/.test(hex)) {
+// Decode a signed tx, gather chain facts (chain ID, sender nonces, optional simulation) and apply txPolicy
+async function inspectRawTransaction(rawTx, { simulate = false } = {}) {
+  const tx = txInspect.decodeRawTransaction(rawTx);
+  const [chainIdHex, nonceLatestHex, noncePendingHex] = await Promise.all([
+    queryGeth('eth_chainId', []),
+    queryGeth('eth_getTransactionCount', [tx.from, 'latest']),
+    queryGeth('eth_getTransactionCount', [tx.from, 'pending'])
+  ]);
+  const chain = { chainId: BigInt(chainIdHex), nonceLatest: Number(BigInt(nonceLatestHex)), noncePending: Number(BigInt(noncePendingHex)) };
+  if (simulate) {
     try {
-      return BigInt(hex).toString();
-    } catch {
-      return null;
+      const output = await queryGeth('eth_call', [txInspect.simulationCall(tx), 'latest']);
+      chain.simulation = { ok: true, output };
+    } catch (err) {
+      chain.simulation = { ok: false, error: err?.message || String(err), revert: err?.data !== undefined ? abi.decodeRevert(err.data) : null };
     }
   }
-  return null;
+  const policy = txInspect.evaluateTxPolicy(tx, txPolicy, chain);
+  return {
+    transaction: tx,
+    chain: { chainId: chain.chainId.toString(), senderNonceLatest: chain.nonceLatest, senderNoncePending: chain.noncePending },
+    simulation: chain.simulation || null,
+    policy: { ...policy, config: txInspect.describePolicy(txPolicy) }
+  };
 }
 
 // Tool: eth_blockNumber (correct JSON-RPC name)
@@ -166,44 +348,8 @@ registerTool(
   },
   { type: 'object', properties: {}, additionalProperties: false }
 );
-registerTool(
-  'eth_getBlockByNumber',
-  { description: 'Fetch block by number/tag.', inputSchema: z.object({ block: z.string(), full: z.boolean().optional() }) },
-  async ({ block, full = false }) => {
-    const result = await queryGeth('eth_getBlockByNumber', [block, full]);
-    return { content: [{ type: 'text', text: JSON.stringify(result) }] };
-  },
-  { type: 'object', properties: { block: { type: 'string' }, full: { type: 'boolean' } }, required: ['block'], additionalProperties: false }
-);
-registerTool(
-  'eth_getTransactionByHash',
-  { description: 'Fetch a transaction by hash.', inputSchema: z.object({ hash: z.string() }) },
-  async ({ hash }) => {
-    const result = await queryGeth('eth_getTransactionByHash', [hash]);
-    return { content: [{ type: 'text', text: JSON.stringify(result) }] };
-  },
-  { type: 'object', properties: { hash: { type: 'string' } }, required: ['hash'], additionalProperties: false }
-);
 
 // Admin/debug/txpool canonical tools (Geth-specific)
-registerTool(
-  'admin_peers',
-  { description: 'List currently connected peers (Geth admin).', inputSchema: z.object({}) },
-  async () => {
-    const peers = await queryGeth('admin_peers', []);
-    return { content: [{ type: 'text', text: JSON.stringify(peers) }] };
-  },
-  { type: 'object', properties: {}, additionalProperties: false }
-);
-registerTool(
-  'admin_nodeInfo',
-  { description: 'Get local node information (Geth admin).', inputSchema: z.object({}) },
-  async () => {
-    const info = await queryGeth('admin_nodeInfo', []);
-    return { content: [{ type: 'text', text: JSON.stringify(info) }] };
-  },
-  { type: 'object', properties: {}, additionalProperties: false }
-);
 registerTool(
   'txpool_status',
   { description: 'Get transaction pool status (pending/queued counts).', inputSchema: z.object({}) },
@@ -216,6 +362,25 @@ registerTool(
   },
   { type: 'object', properties: {}, additionalProperties: false }
 );
+// Aggregated node health (also backs /readyz)
+const nodeHealth = createNodeHealth({
+  rpc: (method, params, options) => queryGeth(method, params, options),
+  maxHeadAgeSec: Number(process.env.HEALTH_MAX_HEAD_AGE_SEC) || 60,
+  minPeers: process.env.HEALTH_MIN_PEERS !== undefined && process.env.HEALTH_MIN_PEERS !== '' ? Number(process.env.HEALTH_MIN_PEERS) : 1,
+  queuedBacklog: Number(process.env.HEALTH_TXPOOL_QUEUED_MAX) || 1000,
+  pendingBacklog: Number(process.env.HEALTH_TXPOOL_PENDING_MAX) || 5000,
+  probeTimeoutMs: Number(process.env.HEALTH_PROBE_TIMEOUT_MS) || 2000,
+  readyCacheMs: process.env.HEALTH_READY_CACHE_MS !== undefined && process.env.HEALTH_READY_CACHE_MS !== '' ? Number(process.env.HEALTH_READY_CACHE_MS) : 2000
+});
+registerTool(
+  'admin_nodeHealth',
+  { description: 'Scored health report of the node (0-100, healthy/degraded/unhealthy) combining eth_syncing, head block age, admin_peers, admin_nodeInfo, txpool_status and debug_metrics, with specific warnings (0 peers, stale head, txpool backlog, syncing).', inputSchema: z.object({}) },
+  async () => {
+    const report = await nodeHealth.report();
+    return { content: [{ type: 'text', text: JSON.stringify(report) }] };
+  },
+  { type: 'object', properties: {}, additionalProperties: false }
+);
 registerTool(
   'debug_metrics',
   { description: 'Get node metrics (Geth debug). May be raw Prometheus text or JSON depending on config.', inputSchema: z.object({ raw: z.boolean().optional() }) },
@@ -245,12 +410,80 @@ registerTool(
   },
   { type: 'object', properties: { to: { type: 'string' }, from: { type: 'string' }, data: { type: 'string' }, value: { type: 'string' } }, additionalProperties: false }
 );
+// Balances of many addresses/tokens at one block, via batches and Multicall3 (MULTICALL3_ADDRESS=none disables it)
+const portfolio = createPortfolio({
+  rpc: (method, params) => queryGeth(method, params),
+  batch: queryGethBatch,
+  multicallAddress: process.env.MULTICALL3_ADDRESS === 'none' ? null : process.env.MULTICALL3_ADDRESS || MULTICALL3_ADDRESS
+});
+registerTool(
+  'eth_getPortfolio',
+  { description: 'ETH balance, nonce and ERC-20 balances (with symbol and decimals) of many addresses at one consistent block, fetched with JSON-RPC batches and Multicall3 when deployed. Amounts are given raw and formatted, with per-token totals.', inputSchema: z.object({
+    addresses: z.array(z.string()).min(1).max(200),
+    tokens: z.array(z.string()).max(50).optional(),
+    block: z.string().optional(),
+    useMulticall: z.boolean().optional()
+  }) },
+  async ({ addresses, tokens = [], block = 'latest', useMulticall = true }) => {
+    const report = await portfolio.lookup({ addresses, tokens, block, useMulticall });
+    return { content: [{ type: 'text', text: JSON.stringify(report) }] };
+  },
+  { type: 'object', properties: {
+    addresses: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 200, description: 'Account addresses' },
+    tokens: { type: 'array', items: { type: 'string' }, maxItems: 50, description: 'ERC-20 token contract addresses' },
+    block: { type: 'string', description: 'Block number, tag or hash (default latest); all reads use this one block' },
+    useMulticall: { type: 'boolean', description: 'Read token data through Multicall3 when deployed (default true)' }
+  }, required: ['addresses'], additionalProperties: false }
+);
+
+// EIP-1559 fee market: suggestions from eth_feeHistory reward percentiles and base fee trend
+const feeMarket = createFeeMarket({ rpc: (method, params) => queryGeth(method, params) });
+const feeBlocksZod = z.number().int().min(1).max(1024).optional();
+const feeBlocksJson = { type: 'integer', minimum: 1, maximum: 1024, description: 'Recent blocks to sample (default 20)' };
+registerTool(
+  'eth_feeSuggestions',
+  { description: 'Suggest EIP-1559 fees: slow/standard/fast maxFeePerGas and maxPriorityFeePerGas from recent reward percentiles (10/50/90), base fee trend, the node\'s own priority fee suggestion and the blob base fee where supported.', inputSchema: z.object({ blocks: feeBlocksZod }) },
+  async ({ blocks } = {}) => {
+    const suggestions = await feeMarket.suggest({ blocks });
+    return { content: [{ type: 'text', text: JSON.stringify(suggestions) }] };
+  },
+  { type: 'object', properties: { blocks: feeBlocksJson }, additionalProperties: false }
+);
+registerTool(
+  'eth_estimateTxCost',
+  { description: 'Estimate what a transaction will cost: eth_estimateGas combined with slow/standard/fast fee suggestions, giving expected and worst-case fees (plus value) in wei and ether.', inputSchema: z.object({
+    to: z.string().optional(),
+    from: z.string().optional(),
+    data: z.string().optional(),
+    value: z.string().regex(/^(0x[0-9a-fA-F]+|\d+)$/, 'Expected wei as a decimal or 0x-prefixed hex integer').optional(),
+    blobs: z.number().int().min(0).max(16).optional(),
+    blocks: feeBlocksZod
+  }) },
+  async ({ to, from, data, value, blobs, blocks }) => {
+    const tx = Object.fromEntries(Object.entries({ to, from, data, value: toQuantity(value) }).filter(([, v]) => v !== undefined));
+    const estimate = await feeMarket.estimateCost(tx, { blobs, blocks });
+    return { content: [{ type: 'text', text: JSON.stringify(estimate) }] };
+  },
+  { type: 'object', properties: {
+    to: { type: 'string' },
+    from: { type: 'string' },
+    data: { type: 'string' },
+    value: { type: 'string', pattern: '^(0x[0-9a-fA-F]+|[0-9]+)$', description: 'Wei (decimal or hex)' },
+    blobs: { type: 'integer', minimum: 0, maximum: 16, description: 'Blobs carried (EIP-4844); adds blob gas at the blob base fee' },
+    blocks: feeBlocksJson
+  }, additionalProperties: false }
+);
 registerTool(
   'eth_sendRawTransaction',
-  { description: 'Broadcast a signed raw transaction (hex). WARNING: ensure the tx is trusted.', inputSchema: z.object({ rawTx: z.string() }) },
+  { description: 'Broadcast a signed raw transaction (hex) after decoding it and enforcing the send policy (chain ID, recipient allowlist, value/fee caps, nonce, optional simulation).', inputSchema: z.object({ rawTx: z.string() }) },
   async ({ rawTx }) => {
-    if (!process.env.ALLOW_SEND_RAW_TX) {
-      return { content: [{ type: 'text', text: JSON.stringify({ error: 'Disabled. Set ALLOW_SEND_RAW_TX=1 to enable.' }) }] };
+    if (!txInspect.parseBool(process.env.ALLOW_SEND_RAW_TX, false)) {
+      return { isError: true, content: [{ type: 'text', text: JSON.stringify({ error: 'Disabled. Set ALLOW_SEND_RAW_TX=1 to enable.' }) }] };
+    }
+    const inspection = await inspectRawTransaction(rawTx, { simulate: txPolicy.simulate });
+    if (!inspection.policy.allowed) {
+      console.warn('[mcpServer] eth_sendRawTransaction blocked by policy', inspection.transaction.hash, inspection.policy.violations.map(v => v.rule).join(','));
+      return { isError: true, content: [{ type: 'text', text: JSON.stringify({ error: 'Blocked by transaction policy', ...inspection }) }] };
     }
     const hash = await queryGeth('eth_sendRawTransaction', [rawTx]);
     return { content: [{ type: 'text', text: JSON.stringify({ txHash: hash }) }] };
@@ -258,41 +491,85 @@ registerTool(
   { type: 'object', properties: { rawTx: { type: 'string' } }, required: ['rawTx'], additionalProperties: false }
 );
 registerTool(
-  'eth_getTransactionReceipt',
-  { description: 'Get transaction receipt by hash.', inputSchema: z.object({ hash: z.string() }) },
-  async ({ hash }) => {
-    const receipt = await queryGeth('eth_getTransactionReceipt', [hash]);
-    return { content: [{ type: 'text', text: JSON.stringify(receipt) }] };
+  'eth_decodeRawTransaction',
+  { description: 'Decode a signed raw transaction (legacy, 2930, 1559, 4844), recover the sender and evaluate the send policy without broadcasting.', inputSchema: z.object({ rawTx: z.string(), checkPolicy: z.boolean().optional(), simulate: z.boolean().optional() }) },
+  async ({ rawTx, checkPolicy = true, simulate }) => {
+    if (!checkPolicy) {
+      return { content: [{ type: 'text', text: JSON.stringify({ transaction: txInspect.decodeRawTransaction(rawTx) }) }] };
+    }
+    const inspection = await inspectRawTransaction(rawTx, { simulate: simulate ?? txPolicy.simulate });
+    return { content: [{ type: 'text', text: JSON.stringify(inspection) }] };
   },
-  { type: 'object', properties: { hash: { type: 'string' } }, required: ['hash'], additionalProperties: false }
+  { type: 'object', properties: { rawTx: { type: 'string' }, checkPolicy: { type: 'boolean', description: 'Also run chain checks and the send policy (default true)' }, simulate: { type: 'boolean', description: 'Run an eth_call simulation (defaults to the policy setting)' } }, required: ['rawTx'], additionalProperties: false }
 );
+// eth_getLogs filter fields shared by the raw and decoded log tools
+const logsAddressZod = z.union([z.string(), z.array(z.string())]);
+const logsTopicsZod = z.array(z.union([z.string(), z.null(), z.array(z.string())]));
+const logsAddressJson = { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }], description: 'Contract address or list of addresses (OR)' };
+const logsTopicsJson = { type: 'array', items: { oneOf: [{ type: 'string' }, { type: 'null' }, { type: 'array', items: { type: 'string' } }] }, description: 'Topic filters by position; null = any, nested array = OR' };
+const logsPagingJson = {
+  maxResults: { type: 'integer', minimum: 1, description: `Maximum logs per page (default ${Number(process.env.LOGS_MAX_RESULTS) || 1000})` },
+  cursor: { type: 'string', description: 'Opaque cursor from a previous page; when set, the filter arguments are ignored' }
+};
+const logsPager = createLogsPager({
+  rpc: queryGeth,
+  initialWindow: Number(process.env.LOGS_INITIAL_WINDOW) || 2000,
+  maxWindow: Number(process.env.LOGS_MAX_WINDOW) || 100_000,
+  defaultMaxResults: Number(process.env.LOGS_MAX_RESULTS) || 1000,
+  timeBudgetMs: Number(process.env.LOGS_TIME_BUDGET_MS) || 6000,
+  cursorSecret: process.env.LOGS_CURSOR_SECRET
+});
+
 registerTool(
   'eth_getLogs',
-  { description: 'Fetch logs by filter (address, topics, block range).', inputSchema: z.object({
-    address: z.string().optional(),
-    topics: z.array(z.string()).optional(),
+  { description: 'Fetch logs by filter (address(es), topics, block range). Large ranges are scanned in adaptive block windows and paginated: pass the returned cursor to continue.', inputSchema: z.object({
+    address: logsAddressZod.optional(),
+    topics: logsTopicsZod.optional(),
     fromBlock: z.string().optional(),
-    toBlock: z.string().optional()
+    toBlock: z.string().optional(),
+    blockHash: z.string().optional(),
+    maxResults: z.number().int().positive().optional(),
+    cursor: z.string().optional()
   }) },
-  async ({ address, topics, fromBlock = 'earliest', toBlock = 'latest' }) => {
-    const filter = { address, topics, fromBlock, toBlock };
-    const logs = await queryGeth('eth_getLogs', [filter]);
-    return { content: [{ type: 'text', text: JSON.stringify(logs) }] };
+  async ({ address, topics, fromBlock = 'earliest', toBlock = 'latest', blockHash, maxResults, cursor }) => {
+    const page = await logsPager.fetchPage({ address, topics, fromBlock, toBlock, blockHash, maxResults, cursor });
+    return { content: [{ type: 'text', text: JSON.stringify(page) }] };
   },
-  { type: 'object', properties: { address: { type: 'string' }, topics: { type: 'array', items: { type: 'string' } }, fromBlock: { type: 'string' }, toBlock: { type: 'string' } }, additionalProperties: false }
+  { type: 'object', properties: { address: logsAddressJson, topics: logsTopicsJson, fromBlock: { type: 'string' }, toBlock: { type: 'string' }, blockHash: { type: 'string' }, ...logsPagingJson }, additionalProperties: false }
 );
 registerTool(
   'eth_getProof',
-  { description: 'Get account proof for a given address and block.', inputSchema: z.object({
+  { description: 'Get account proof for a given address and block. With verify: true the proof is checked locally against the block\'s stateRoot (Merkle-Patricia walk) and only proven balance, nonce, codeHash and storage values are returned; any mismatch fails the call.', inputSchema: z.object({
     address: z.string(),
     storageKeys: z.array(z.string()).optional(),
-    block: z.string().optional()
+    block: z.string().optional(),
+    verify: z.boolean().optional()
   }) },
-  async ({ address, storageKeys = [], block = 'latest' }) => {
-    const proof = await queryGeth('eth_getProof', [address, storageKeys, block]);
-    return { content: [{ type: 'text', text: JSON.stringify(proof) }] };
+  async ({ address, storageKeys = [], block = 'latest', verify = false }) => {
+    if (!verify) {
+      const proof = await queryGeth('eth_getProof', [address, storageKeys, block]);
+      return { content: [{ type: 'text', text: JSON.stringify(proof) }] };
+    }
+    const header = /^0x[0-9a-fA-F]{64}$/.test(block)
+      ? await queryGeth('eth_getBlockByHash', [block, false])
+      : await queryGeth('eth_getBlockByNumber', [block, false]);
+    if (!header) throw new InvalidParamsError(`Block ${block} not found`);
+    // Pin the proof to this exact header (EIP-1898) so a new head cannot slip in between the two calls
+    const proof = await queryGeth('eth_getProof', [address, storageKeys, { blockHash: header.hash }]);
+    const account = verifyAccountProof(header.stateRoot, proof, { address, storageKeys });
+    return { content: [{ type: 'text', text: JSON.stringify({
+      address,
+      verified: true,
+      block: { number: hexToDecimalMaybe(header.number), hash: header.hash, stateRoot: header.stateRoot },
+      ...account
+    }) }] };
   },
-  { type: 'object', properties: { address: { type: 'string' }, storageKeys: { type: 'array', items: { type: 'string' } }, block: { type: 'string' } }, required: ['address'], additionalProperties: false }
+  { type: 'object', properties: {
+    address: { type: 'string' },
+    storageKeys: { type: 'array', items: { type: 'string' } },
+    block: { type: 'string' },
+    verify: { type: 'boolean', description: 'Verify the proof locally against the block header\'s stateRoot (default false)' }
+  }, required: ['address'], additionalProperties: false }
 );
 registerTool(
   'debug_traceTransaction',
@@ -303,15 +580,6 @@ registerTool(
   },
   { type: 'object', properties: { hash: { type: 'string' }, tracer: { type: 'string' } }, required: ['hash'], additionalProperties: false }
 );
-registerTool(
-  'debug_blockProfile',
-  { description: 'Get block profile (Geth debug).', inputSchema: z.object({ block: z.string() }) },
-  async ({ block }) => {
-    const profile = await queryGeth('debug_blockProfile', [block]);
-    return { content: [{ type: 'text', text: JSON.stringify(profile) }] };
-  },
-  { type: 'object', properties: { block: { type: 'string' } }, required: ['block'], additionalProperties: false }
-);
 registerTool(
   'debug_getBlockRlp',
   { description: 'Get RLP encoding of a block by number or hash (Geth debug).', inputSchema: z.object({ block: z.string() }) },
@@ -322,25 +590,355 @@ registerTool(
   { type: 'object', properties: { block: { type: 'string' } }, required: ['block'], additionalProperties: false }
 );
 
+// ABI-aware tools: encode calls / decode results, logs and reverts (see lib/abi.js)
+if (process.env.ABI_DIR) {
+  try {
+    const loaded = abi.loadAbiDir(process.env.ABI_DIR);
+    console.log(`[mcpServer] Loaded ${loaded.length} ABI(s) from ${process.env.ABI_DIR}`);
+  } catch (e) {
+    console.warn(`[mcpServer] Could not load ABI_DIR ${process.env.ABI_DIR}: ${e?.message || e}`);
+  }
+}
+const abiRefZod = z.union([z.string(), z.array(z.any())]);
+const abiRefJson = { type: ['string', 'array'], description: 'Registered ABI name, ABI JSON string or ABI array' };
+registerTool(
+  'eth_registerAbi',
+  { description: 'Register a contract ABI under a name for use by eth_callFunction, eth_getEventLogs and eth_decodeRevert.', inputSchema: z.object({ name: z.string(), abi: abiRefZod }) },
+  async ({ name, abi: abiJson }) => {
+    const summary = abi.registerAbi(name, abiJson);
+    return { content: [{ type: 'text', text: JSON.stringify({ registered: summary }) }] };
+  },
+  { type: 'object', properties: { name: { type: 'string' }, abi: { type: ['string', 'array'], description: 'ABI JSON string or array (artifact objects with an "abi" field are accepted)' } }, required: ['name', 'abi'], additionalProperties: false }
+);
+registerTool(
+  'eth_listAbis',
+  { description: 'List registered ABIs with their function, event and error signatures.', inputSchema: z.object({}) },
+  async () => {
+    return { content: [{ type: 'text', text: JSON.stringify({ abis: abi.listAbis() }) }] };
+  },
+  { type: 'object', properties: {}, additionalProperties: false }
+);
+registerTool(
+  'eth_callFunction',
+  { description: 'Call a contract function by signature (e.g. "balanceOf(address) view returns (uint256)") or ABI + functionName; ABI-encodes args, runs eth_call and decodes the result or revert.', inputSchema: z.object({
+    to: z.string(),
+    signature: z.string().optional(),
+    abi: abiRefZod.optional(),
+    functionName: z.string().optional(),
+    args: z.array(z.any()).optional(),
+    errors: z.array(z.string()).optional(),
+    from: z.string().optional(),
+    value: z.string().optional(),
+    block: z.string().optional()
+  }) },
+  async ({ to, signature, abi: abiRef, functionName, args = [], errors = [], from, value, block = 'latest' }) => {
+    const { iface, fragment, data } = abi.encodeCall({ signature, abi: abiRef, functionName, args });
+    const call = { to, data };
+    if (from) call.from = from;
+    if (value) call.value = toQuantity(value);
+    try {
+      const raw = await queryGeth('eth_call', [call, block]);
+      // A call to an address without code "succeeds" with no data; say so instead of a decode error
+      if (raw === '0x' && fragment.outputs.length) {
+        throw new InvalidParamsError(`No contract code at ${to} or empty return data: ${fragment.format('sighash')} returned nothing at block ${block}`);
+      }
+      const { decoded } = abi.decodeCallResult(iface, fragment, raw);
+      return { content: [{ type: 'text', text: JSON.stringify({ function: fragment.format('sighash'), to, block, data, result: raw, decoded }) }] };
+    } catch (err) {
+      if (err?.data === undefined) throw err;
+      // Execution reverted: decode against the call's ABI plus any extra custom error signatures
+      const revert = abi.decodeRevert(err.data, abi.errorInterface(errors, iface));
+      return { content: [{ type: 'text', text: JSON.stringify({ function: fragment.format('sighash'), to, block, data, reverted: true, error: err.message, revert }) }] };
+    }
+  },
+  { type: 'object', properties: {
+    to: { type: 'string' },
+    signature: { type: 'string', description: 'Human-readable function signature, e.g. "balanceOf(address) view returns (uint256)"' },
+    abi: abiRefJson,
+    functionName: { type: 'string', description: 'Function name (or full signature when overloaded) within abi' },
+    args: { type: 'array', description: 'Function arguments in order (numbers as decimal strings, tuples as arrays)' },
+    errors: { type: 'array', items: { type: 'string' }, description: 'Extra custom error signatures for revert decoding, e.g. "InsufficientBalance(uint256,uint256)"' },
+    from: { type: 'string' },
+    value: { type: 'string', description: 'Wei to send with the call, decimal or 0x hex' },
+    block: { type: 'string' }
+  }, required: ['to'], additionalProperties: false }
+);
+registerTool(
+  'eth_getEventLogs',
+  { description: 'Fetch logs for an event (signature or ABI + eventName) and decode them into named parameters. Paginated like eth_getLogs.', inputSchema: z.object({
+    address: logsAddressZod.optional(),
+    signature: z.string().optional(),
+    abi: abiRefZod.optional(),
+    eventName: z.string().optional(),
+    indexedArgs: z.array(z.any()).optional(),
+    fromBlock: z.string().optional(),
+    toBlock: z.string().optional(),
+    maxResults: z.number().int().positive().optional(),
+    cursor: z.string().optional()
+  }) },
+  async ({ address, signature, abi: abiRef, eventName, indexedArgs = [], fromBlock = 'latest', toBlock = 'latest', maxResults, cursor }) => {
+    const { iface, fragment } = abi.resolveEvent({ signature, abi: abiRef, eventName });
+    // topic0 from the event; indexedArgs (null = any) narrow the remaining topics
+    const topics = fragment ? iface.encodeFilterTopics(fragment, indexedArgs) : undefined;
+    const { logs, ...page } = await logsPager.fetchPage({ address, topics, fromBlock, toBlock, maxResults, cursor });
+    const decoded = logs.map(log => ({
+      address: log.address,
+      blockNumber: hexToDecimalMaybe(log.blockNumber),
+      transactionHash: log.transactionHash,
+      logIndex: hexToDecimalMaybe(log.logIndex),
+      ...(abi.decodeLog(iface, log) || { event: null, topics: log.topics, data: log.data })
+    }));
+    return { content: [{ type: 'text', text: JSON.stringify({ ...page, logs: decoded }) }] };
+  },
+  { type: 'object', properties: {
+    address: logsAddressJson,
+    signature: { type: 'string', description: 'Human-readable event signature, e.g. "Transfer(address indexed from, address indexed to, uint256 value)"' },
+    abi: abiRefJson,
+    eventName: { type: 'string', description: 'Event within abi; omit to decode every event the ABI knows' },
+    indexedArgs: { type: 'array', description: 'Values for indexed parameters in order; null matches anything' },
+    fromBlock: { type: 'string', description: 'Defaults to latest' },
+    toBlock: { type: 'string' },
+    ...logsPagingJson
+  }, additionalProperties: false }
+);
+registerTool(
+  'eth_decodeLogs',
+  { description: 'Decode raw logs (or the logs of a transaction receipt) using an event signature or ABI.', inputSchema: z.object({
+    txHash: z.string().optional(),
+    logs: z.array(z.object({ address: z.string().optional(), topics: z.array(z.string()), data: z.string() }).passthrough()).optional(),
+    signature: z.string().optional(),
+    abi: abiRefZod.optional()
+  }) },
+  async ({ txHash, logs, signature, abi: abiRef }) => {
+    const { iface } = abi.resolveEvent({ signature, abi: abiRef });
+    let raw = logs;
+    if (!raw) {
+      if (!txHash) throw new InvalidParamsError('Provide either logs or txHash');
+      const receipt = await queryGeth('eth_getTransactionReceipt', [txHash]);
+      if (!receipt) throw new InvalidParamsError(`No receipt for ${txHash} (pending or unknown)`);
+      raw = receipt.logs;
+    }
+    const decoded = raw.map(log => ({ address: log.address, logIndex: hexToDecimalMaybe(log.logIndex), ...(abi.decodeLog(iface, log) || { event: null, topics: log.topics, data: log.data }) }));
+    return { content: [{ type: 'text', text: JSON.stringify({ count: decoded.length, logs: decoded }) }] };
+  },
+  { type: 'object', properties: {
+    txHash: { type: 'string' },
+    logs: { type: 'array', items: { type: 'object', properties: { address: { type: 'string' }, topics: { type: 'array', items: { type: 'string' } }, data: { type: 'string' } }, required: ['topics', 'data'] } },
+    signature: { type: 'string' },
+    abi: abiRefJson
+  }, additionalProperties: false }
+);
+registerTool(
+  'eth_decodeRevert',
+  { description: 'Decode revert data as Error(string), Panic(uint256) or a custom error (via ABI or error signatures).', inputSchema: z.object({ data: z.string(), abi: abiRefZod.optional(), errors: z.array(z.string()).optional() }) },
+  async ({ data, abi: abiRef, errors = [] }) => {
+    const iface = abi.errorInterface(errors, abiRef ? abi.interfaceFromAbi(abiRef) : null);
+    const revert = abi.decodeRevert(data, iface);
+    if (!revert) throw new InvalidParamsError('data must be a 0x-prefixed hex string');
+    return { content: [{ type: 'text', text: JSON.stringify(revert) }] };
+  },
+  { type: 'object', properties: { data: { type: 'string' }, abi: abiRefJson, errors: { type: 'array', items: { type: 'string' } } }, required: ['data'], additionalProperties: false }
+);
+
+// Call-tree analysis: flattened callTracer frames, decoded reverts, token transfers, state diff
+const txInvestigator = createTxInvestigator({ rpc: (method, params) => queryGeth(method, params) });
+registerTool(
+  'debug_investigateTransaction',
+  { description: 'Analyse a mined transaction: flattened call tree (caller, callee, type, value, gas, success/revert with decoded reason), ERC-20/721 transfers and, with stateDiff, balance/nonce/storage changes per account. Large results are truncated to maxBytes.', inputSchema: z.object({
+    hash: z.string(),
+    abi: abiRefZod.optional(),
+    errors: z.array(z.string()).optional(),
+    stateDiff: z.boolean().optional(),
+    maxFrames: z.number().int().positive().max(5000).optional(),
+    maxBytes: z.number().int().min(4096).max(1024 * 1024).optional()
+  }) },
+  async ({ hash, abi: abiRef, errors = [], stateDiff = false, maxFrames, maxBytes }) => {
+    const iface = abi.errorInterface(errors, abiRef ? abi.interfaceFromAbi(abiRef) : null);
+    const report = await txInvestigator.investigate(hash, { iface, stateDiff, maxFrames, maxBytes });
+    return { content: [{ type: 'text', text: JSON.stringify(report) }] };
+  },
+  { type: 'object', properties: {
+    hash: { type: 'string' },
+    abi: abiRefJson,
+    errors: { type: 'array', items: { type: 'string' }, description: 'Custom error signatures, e.g. "InsufficientBalance(uint256,uint256)"' },
+    stateDiff: { type: 'boolean', description: 'Also run prestateTracer in diff mode (default false)' },
+    maxFrames: { type: 'integer', minimum: 1, maximum: 5000, description: 'Call frames to return (default 200)' },
+    maxBytes: { type: 'integer', minimum: 4096, maximum: 1048576, description: 'Result size limit (default 65536)' }
+  }, required: ['hash'], additionalProperties: false }
+);
+
   
 
+// Live subscriptions: events are pushed to the caller's MCP session and buffered per subscription
+function sessionOfCall() {
+  return callContext.getStore()?.sessionId || null;
+}
+registerTool(
+  'eth_subscribe',
+  { description: 'Subscribe to newHeads, logs or newPendingTransactions. Events arrive on this MCP session as notifications/message (open the SSE stream or use stdio) and stay readable via eth_getSubscriptionEvents.', inputSchema: z.object({
+    kind: z.enum([...SUBSCRIPTION_KINDS]),
+    address: logsAddressZod.optional(),
+    topics: logsTopicsZod.optional()
+  }) },
+  async ({ kind, address, topics }) => {
+    const filter = kind === 'logs' ? { address, topics } : null;
+    const subscription = subscriptionHub.subscribe(sessionOfCall(), kind, filter);
+    return { content: [{ type: 'text', text: JSON.stringify(subscription) }] };
+  },
+  { type: 'object', properties: { kind: { type: 'string', enum: [...SUBSCRIPTION_KINDS] }, address: logsAddressJson, topics: logsTopicsJson }, required: ['kind'], additionalProperties: false }
+);
+registerTool(
+  'eth_unsubscribe',
+  { description: 'Cancel a subscription created with eth_subscribe.', inputSchema: z.object({ subscriptionId: z.string() }) },
+  async ({ subscriptionId }) => {
+    subscriptionHub.unsubscribe(sessionOfCall(), subscriptionId);
+    return { content: [{ type: 'text', text: JSON.stringify({ unsubscribed: subscriptionId }) }] };
+  },
+  { type: 'object', properties: { subscriptionId: { type: 'string' } }, required: ['subscriptionId'], additionalProperties: false }
+);
+registerTool(
+  'eth_getSubscriptionEvents',
+  { description: 'Read buffered events of a subscription after seq `since`, or list this session\'s subscriptions when no id is given.', inputSchema: z.object({
+    subscriptionId: z.string().optional(),
+    since: z.number().int().nonnegative().optional(),
+    limit: z.number().int().positive().optional()
+  }) },
+  async ({ subscriptionId, since, limit }) => {
+    const sessionId = sessionOfCall();
+    const result = subscriptionId ? subscriptionHub.events(sessionId, subscriptionId, { since, limit }) : { subscriptions: subscriptionHub.list(sessionId) };
+    return { content: [{ type: 'text', text: JSON.stringify(result) }] };
+  },
+  { type: 'object', properties: { subscriptionId: { type: 'string' }, since: { type: 'integer', minimum: 0 }, limit: { type: 'integer', minimum: 1 } }, additionalProperties: false }
+);
+
+// Receipt / confirmation waits: re-check on every new head instead of polling on a timer
+const WAIT_MAX_MS = 300_000;
+async function waitForConfirmations(hash, confirmations, timeoutMs) {
+  const ctx = callContext.getStore();
+  const progress = value => {
+    if (ctx?.progressToken === undefined || !ctx.sessionId) return;
+    sessionStore.send(ctx.sessionId, { jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: ctx.progressToken, progress: value, total: confirmations } });
+  };
+  const started = Date.now();
+  let reported = -1;
+  try {
+    return await chainWatcher.waitFor(async head => {
+      const receipt = await queryGeth('eth_getTransactionReceipt', [hash]);
+      if (!receipt || !receipt.blockNumber) return undefined; // Pending, unknown or reorged out
+      const headNumber = Number(BigInt(head?.number || await queryGeth('eth_blockNumber', [])));
+      const have = Math.max(0, headNumber - Number(BigInt(receipt.blockNumber)) + 1);
+      if (have !== reported) progress(Math.min(have, confirmations));
+      reported = have;
+      if (have < confirmations) return undefined;
+      return {
+        transactionHash: hash,
+        status: receipt.status === '0x1' ? 'success' : 'reverted',
+        blockNumber: hexToDecimalMaybe(receipt.blockNumber),
+        blockHash: receipt.blockHash,
+        confirmations: have,
+        waitedMs: Date.now() - started,
+        receipt
+      };
+    }, { timeoutMs: Math.min(timeoutMs, WAIT_MAX_MS) });
+  } catch (err) {
+    if (err.waitTimeout) throw Object.assign(new Error(`Transaction ${hash} did not reach ${confirmations} confirmation(s) within ${Math.min(timeoutMs, WAIT_MAX_MS)} ms (seen: ${Math.max(reported, 0)})`), { timeout: true });
+    throw err;
+  }
+}
+registerTool(
+  'eth_waitForReceipt',
+  { description: `Wait until a transaction is mined and return its receipt (timeoutMs default 60000, max ${WAIT_MAX_MS}).`, inputSchema: z.object({ hash: z.string(), timeoutMs: z.number().int().positive().optional() }) },
+  async ({ hash, timeoutMs = 60_000 }) => {
+    const result = await waitForConfirmations(hash, 1, timeoutMs);
+    return { content: [{ type: 'text', text: JSON.stringify(result) }] };
+  },
+  { type: 'object', properties: { hash: { type: 'string' }, timeoutMs: { type: 'integer', minimum: 1 } }, required: ['hash'], additionalProperties: false }
+);
+registerTool(
+  'eth_waitForConfirmations',
+  { description: `Wait until a transaction has N confirmations (timeoutMs default 120000, max ${WAIT_MAX_MS}); reports notifications/progress when the call carries a progressToken.`, inputSchema: z.object({
+    hash: z.string(),
+    confirmations: z.number().int().positive().max(1000),
+    timeoutMs: z.number().int().positive().optional()
+  }) },
+  async ({ hash, confirmations, timeoutMs = 120_000 }) => {
+    const result = await waitForConfirmations(hash, confirmations, timeoutMs);
+    return { content: [{ type: 'text', text: JSON.stringify(result) }] };
+  },
+  { type: 'object', properties: { hash: { type: 'string' }, confirmations: { type: 'integer', minimum: 1, maximum: 1000 }, timeoutMs: { type: 'integer', minimum: 1 } }, required: ['hash', 'confirmations'], additionalProperties: false }
+);
+
+// Config-declared tools (TOOLS_CONFIG, default tools.json): plain RPC passthroughs, hot-reloaded
+const toolConfigFile = path.resolve(process.env.TOOLS_CONFIG || path.join(__dirname, 'tools.json'));
+let configToolNames = []; // Tools and aliases registered from the config file
+
+// Swap in the tools of the config file. A broken first load stops startup (the server would
+// otherwise run without the tools it was configured with); on a reload the previous set stays.
+function applyToolConfig({ initial = false } = {}) {
+  const reject = reason => {
+    if (initial) throw new Error(`Tool config not loaded: ${reason}`);
+    console.warn(`[mcpServer] Tool config not applied: ${reason}`);
+    return false;
+  };
+  let tools;
+  try {
+    tools = loadToolConfig(toolConfigFile);
+  } catch (err) {
+    return reject(err?.code === 'ENOENT' ? `${toolConfigFile} not found` : err?.message || err);
+  }
+  const clashes = tools.flatMap(t => [t.name, ...t.aliases]).filter(n => registeredToolHandlers[n] && !configToolNames.includes(n));
+  if (clashes.length) return reject(`${clashes.join(', ')} already defined in code`);
+  for (const name of configToolNames) unregisterTool(name);
+  configToolNames = [];
+  for (const tool of tools) {
+    registerTool(
+      tool.name,
+      { description: tool.description, inputSchema: tool.zodSchema },
+      async args => {
+        const result = await queryGeth(tool.method, tool.buildParams(args));
+        return { content: [{ type: 'text', text: JSON.stringify(tool.formatResult(result)) }] };
+      },
+      tool.jsonSchema,
+      tool.scope || scopeForTool(tool.method) // The method decides the scope unless the entry overrides it
+    );
+    configToolNames.push(tool.name);
+    for (const alias of tool.aliases) {
+      registerAlias(alias, tool.name, `Friendly alias for ${tool.name}`);
+      configToolNames.push(alias);
+    }
+  }
+  console.log(`[mcpServer] Loaded ${tools.length} tool(s) from ${toolConfigFile}`);
+  return true;
+}
+applyToolConfig({ initial: true });
+const stopToolConfigWatch = watchToolConfig(toolConfigFile, () => {
+  if (applyToolConfig()) sessionStore.broadcast({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+});
+
 // Friendly aliases requested: isSyncing, getBlock, getPeers, etc.
 registerAlias('isSyncing', 'eth_syncing', 'Friendly alias for eth_syncing');
-registerAlias('getBlock', 'eth_getBlockByNumber', 'Friendly alias for eth_getBlockByNumber');
-registerAlias('getPeers', 'admin_peers', 'Friendly alias for admin_peers');
 registerAlias('getBlockNumber', 'eth_blockNumber', 'Friendly alias for eth_blockNumber');
 registerAlias('getBalance', 'eth_getBalance', 'Friendly alias for eth_getBalance');
 registerAlias('getChainId', 'eth_chainId', 'Friendly alias for eth_chainId');
 registerAlias('getGasPrice', 'eth_gasPrice', 'Friendly alias for eth_gasPrice');
 registerAlias('call', 'eth_call', 'Friendly alias for eth_call');
 registerAlias('estimateGas', 'eth_estimateGas', 'Friendly alias for eth_estimateGas');
+registerAlias('nodeHealth', 'admin_nodeHealth', 'Friendly alias for admin_nodeHealth');
+registerAlias('getPortfolio', 'eth_getPortfolio', 'Friendly alias for eth_getPortfolio');
+registerAlias('feeSuggestions', 'eth_feeSuggestions', 'Friendly alias for eth_feeSuggestions');
+registerAlias('estimateTxCost', 'eth_estimateTxCost', 'Friendly alias for eth_estimateTxCost');
 registerAlias('sendRawTransaction', 'eth_sendRawTransaction', 'Friendly alias for eth_sendRawTransaction');
-registerAlias('getTransactionReceipt', 'eth_getTransactionReceipt', 'Friendly alias for eth_getTransactionReceipt');
 registerAlias('getLogs', 'eth_getLogs', 'Friendly alias for eth_getLogs');
 registerAlias('getProof', 'eth_getProof', 'Friendly alias for eth_getProof');
 registerAlias('traceTransaction', 'debug_traceTransaction', 'Friendly alias for debug_traceTransaction');
-registerAlias('blockProfile', 'debug_blockProfile', 'Friendly alias for debug_blockProfile');
 registerAlias('getBlockRlp', 'debug_getBlockRlp', 'Friendly alias for debug_getBlockRlp');
+registerAlias('callFunction', 'eth_callFunction', 'Friendly alias for eth_callFunction');
+registerAlias('getEventLogs', 'eth_getEventLogs', 'Friendly alias for eth_getEventLogs');
+registerAlias('decodeRevert', 'eth_decodeRevert', 'Friendly alias for eth_decodeRevert');
+registerAlias('investigateTransaction', 'debug_investigateTransaction', 'Friendly alias for debug_investigateTransaction');
+registerAlias('decodeRawTransaction', 'eth_decodeRawTransaction', 'Friendly alias for eth_decodeRawTransaction');
+registerAlias('waitForReceipt', 'eth_waitForReceipt', 'Friendly alias for eth_waitForReceipt');
+registerAlias('waitForConfirmations', 'eth_waitForConfirmations', 'Friendly alias for eth_waitForConfirmations');
 
 
 // Middleware: apply JSON parsing only for non-MCP routes (avoid consuming body stream needed by MCP transport)
@@ -349,90 +947,386 @@ app.use((req, res, next) => {
   return express.json({ verify: (r, _res, buf) => { r.rawBody = buf.toString(); } })(req, res, next);
 });
 
-// Health check (supports /mcp and /mcp/ + HEAD)
-function healthHandler(_req, res) {
-  res.json({ status: 'ok', name: 'geth-mcp-proxy', port, tools: registeredToolNames });
+// Health check (supports /mcp and /mcp/ + HEAD); status reflects the upstream health probes, see /readyz for a live check
+// With API keys configured, callers without a valid key only get the status: the full body names
+// upstreams, tools, sessions and subscriptions.
+function healthHandler(req, res) {
+  const upstreamOk = journal.replaying || upstreamPool.status().some(u => u.healthy);
+  if (auth.enabled && !auth.authenticate(req.get('Authorization'))) return res.json({ status: upstreamOk ? 'ok' : 'degraded' });
+  res.json({ status: upstreamOk ? 'ok' : 'degraded', name: 'geth-mcp-proxy', port, tools: registeredToolNames, upstreams: upstreamPool.status(), cache: responseCache.status(), sessions: sessionStore.status(), subscriptions: chainWatcher.status(), journal: journal.status() });
+}
+
+// Resolve the caller's API key. Returns the principal (undefined when auth is disabled) or null
+// after answering 401 itself.
+function authenticateRequest(req, res) {
+  if (!auth.enabled) return undefined;
+  const principal = auth.authenticate(req.get('Authorization'));
+  if (!principal) {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="geth-mcp-proxy"');
+    res.status(401).json({ jsonrpc: '2.0', error: { code: -32001, message: 'Missing or invalid API key' }, id: null });
+    return null;
+  }
+  return principal;
+}
+
+// A session may only be used with the API key that created it
+function sessionBelongsTo(session, principal) {
+  return !auth.enabled || session.principalName === principal?.name;
+}
+
+// GET /mcp: SSE stream for an existing session when the client asks for one, health JSON otherwise
+function mcpGetHandler(req, res) {
+  if (!String(req.headers.accept || '').includes('text/event-stream')) return healthHandler(req, res);
+  const principal = authenticateRequest(req, res);
+  if (principal === null) return;
+  const sessionId = req.get('Mcp-Session-Id');
+  if (!sessionId) {
+    return res.status(400).json({ jsonrpc: '2.0', error: { code: -32600, message: 'Missing Mcp-Session-Id header; call initialize first' }, id: null });
+  }
+  const session = sessionStore.get(sessionId);
+  if (!session || !sessionBelongsTo(session, principal)) {
+    return res.status(404).json({ jsonrpc: '2.0', error: { code: -32001, message: 'Session not found' }, id: null });
+  }
+  console.log('[mcpServer] SSE stream opened for session', session.id);
+  sessionStore.openStream(session, req, res, req.get('Last-Event-ID'));
 }
-app.get(['/mcp','/mcp/'], healthHandler);
+app.get(['/mcp','/mcp/'], mcpGetHandler);
 app.head(['/mcp','/mcp/'], (req, res) => { res.status(200).end(); });
 
-// MCP endpoint (both /mcp and /mcp/)
-async function mcpHandler(req, res) {
-  // Force connection close per request to avoid clients reusing stale keep-alive sockets
-  try { res.setHeader('Connection', 'close'); } catch (_) { /* noop */ }
-  let body = '';
-  req.on('data', chunk => { body += chunk; });
-  req.on('end', async () => {
-    if (!body) return res.status(400).json({ jsonrpc: '2.0', error: { code: -32600, message: 'Empty request body' }, id: null });
-    let payload;
-    try { payload = JSON.parse(body); } catch {
-      return res.status(400).json({ jsonrpc: '2.0', error: { code: -32700, message: 'Parse error' }, id: null });
-    }
-    const { id, method, params } = payload;
+// DELETE /mcp: explicit session teardown
+app.delete(['/mcp','/mcp/'], (req, res) => {
+  const principal = authenticateRequest(req, res);
+  if (principal === null) return;
+  const sessionId = req.get('Mcp-Session-Id');
+  if (!sessionId) {
+    return res.status(400).json({ jsonrpc: '2.0', error: { code: -32600, message: 'Missing Mcp-Session-Id header' }, id: null });
+  }
+  const session = sessionStore.get(sessionId);
+  if (!session || !sessionBelongsTo(session, principal) || !sessionStore.destroy(sessionId)) {
+    return res.status(404).json({ jsonrpc: '2.0', error: { code: -32001, message: 'Session not found' }, id: null });
+  }
+  console.log('[mcpServer] session terminated', sessionId);
+  return res.status(204).end();
+});
 
-    // 1. initialize (pure JSON-RPC, stateless)
-    if (method === 'initialize') {
-      return res.json({
+// One metered call (tools/call, resources/read, prompts/get): runs body(ctx) in a fresh call
+// context and accounts for it in the metrics and the journal under `label`. body never throws;
+// it resolves to { reply, outcome: { ok, result, error: { class, message } } }.
+async function recordedCall({ label, type, requestedAs, args, conn, progressToken }, body) {
+  const started = Date.now();
+  const ctx = { upstreams: [], sessionId: conn.session?.id || null, caller: conn.principal?.name || null, progressToken };
+  if (journal.recording) ctx.journal = journal.openSink(); // Upstream exchanges of this call, filled by the pool's fetch
+  let outcome = { ok: false, error: { class: 'internal', message: 'Call did not complete' } };
+  toolCallsInFlight.inc();
+  try {
+    const done = await callContext.run(ctx, () => body(ctx));
+    outcome = done.outcome;
+    return done.reply;
+  } finally {
+    toolCallsInFlight.dec();
+    toolCallsTotal.inc({ tool: label, outcome: outcome.ok ? 'ok' : 'error' });
+    if (!outcome.ok) toolErrorsTotal.inc({ tool: label, class: outcome.error.class });
+    toolCallDuration.observe({ tool: label }, (Date.now() - started) / 1000);
+    journal.recordCall({
+      ...(type ? { type } : {}),
+      tool: label,
+      requestedAs,
+      arguments: args,
+      caller: ctx.caller,
+      sessionId: ctx.sessionId,
+      startedAt: new Date(started).toISOString(),
+      durationMs: Date.now() - started,
+      outcome: outcome.ok ? 'ok' : 'error',
+      error: outcome.error,
+      result: outcome.result,
+      upstream: ctx.journal?.close()
+    });
+  }
+}
+
+// Handle one JSON-RPC message; returns { status, body } where body is the JSON-RPC response.
+// conn.session is the caller's session (if any); conn.createSession issues one on initialize;
+// conn.principal is the authenticated API key (undefined when auth is disabled or on stdio).
+async function handleRpcMessage(message, conn = {}) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { status: 400, body: { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request' }, id: null } };
+  }
+  const { id, method, params } = message;
+  rpcRequestsTotal.inc({ method: KNOWN_RPC_METHODS.has(method) ? method : (typeof method === 'string' && method.startsWith('notifications/') ? 'notifications' : 'other') });
+
+  // 1. initialize (issues an Mcp-Session-Id when the transport supports sessions)
+  if (method === 'initialize') {
+    const session = conn.createSession ? conn.createSession(params) : null;
+    if (conn.createSession && !session) {
+      return { status: 503, body: { jsonrpc: '2.0', id, error: { code: RATE_LIMITED_CODE, message: 'Too many open sessions; retry later or end unused ones with DELETE /mcp' } } };
+    }
+    return {
+      status: 200,
+      sessionId: session?.id,
+      body: {
         jsonrpc: '2.0',
         id,
         result: {
           protocolVersion: '2025-06-18',
           serverInfo: { name: 'geth-mcp-proxy', version: '1.1.0' },
-          capabilities: { tools: registeredToolSchemas, roots: { listChanged: false } }
+          capabilities: {
+            tools: { listChanged: true },
+            resources: { subscribe: true, listChanged: false },
+            prompts: { listChanged: false },
+            roots: { listChanged: false },
+            logging: {}
+          }
         }
-      });
-    }
+      }
+    };
+  }
 
-    // 2. tools/list (MCP convenience)
+  // 2. tools/list (MCP convenience)
   if (method === 'tools/list') {
-  console.log('[mcpServer] tools/list requested');
-      const tools = registeredToolNames.map(name => ({ name, description: registeredToolSchemas[name]?.description, inputSchema: registeredToolSchemas[name]?.inputSchema }));
-  console.log('[mcpServer] tools/list responding with', tools.length, 'tools');
-      return res.json({ jsonrpc: '2.0', id, result: { tools } });
-    }
+    console.log('[mcpServer] tools/list requested');
+    const visible = registeredToolNames.filter(name => auth.allows(conn.principal, registeredToolHandlers[name]?.scope));
+    const tools = visible.map(name => ({ name, description: registeredToolSchemas[name]?.description, inputSchema: registeredToolSchemas[name]?.inputSchema }));
+    console.log('[mcpServer] tools/list responding with', tools.length, 'tools');
+    return { status: 200, body: { jsonrpc: '2.0', id, result: { tools } } };
+  }
 
-    // 2b. MCP notifications (ack politely with empty result to avoid transport errors)
-    if (typeof method === 'string' && method.startsWith('notifications/')) {
-      console.log('[mcpServer] notification received:', method);
-      // Some clients send id=null; respond 200 with empty result to satisfy status checks
-      return res.json({ jsonrpc: '2.0', id: id ?? null, result: {} });
-    }
+  // 2b. MCP notifications (ack politely with empty result to avoid transport errors)
+  if (typeof method === 'string' && method.startsWith('notifications/')) {
+    console.log('[mcpServer] notification received:', method);
+    // Some clients send id=null; respond 200 with empty result to satisfy status checks
+    return { status: 200, notification: true, body: { jsonrpc: '2.0', id: id ?? null, result: {} } };
+  }
 
-    // 3. tools/call (direct invoke) - bypass streaming transport for single-call HTTP use
-    if (method === 'tools/call') {
-      console.log('[mcpServer] tools/call requested', params?.name);
-      if (!params || typeof params !== 'object') {
-        return res.status(400).json({ jsonrpc: '2.0', error: { code: -32602, message: 'Missing params' }, id });
+  // 2c. resources/subscribe + unsubscribe (geth://block/latest and subscription URIs from eth_subscribe)
+  if (method === 'resources/subscribe' || method === 'resources/unsubscribe') {
+    try {
+      if (!subscriptionHub.setResourceSubscription(conn.session?.id, params?.uri, method === 'resources/subscribe')) {
+        return { status: 200, body: { jsonrpc: '2.0', id, error: { code: -32602, message: `Resource does not support subscriptions: ${params?.uri}` } } };
       }
-      const { name, arguments: args = {} } = params;
-      const safeName = normalizeToolName(name);
-      if (!safeName || !registeredToolHandlers[safeName]) {
-        console.warn('[mcpServer] Unknown tool requested', name, '->', safeName);
-        return res.status(404).json({ jsonrpc: '2.0', error: { code: -32601, message: `Unknown tool: ${name}` }, id });
+      return { status: 200, body: { jsonrpc: '2.0', id, result: {} } };
+    } catch (err) {
+      return { status: 200, body: { jsonrpc: '2.0', id, error: { code: -32602, message: err.message } } };
+    }
+  }
+
+  // 2d. resources/list, resources/templates/list, resources/read (read-only chain data: "eth" scope)
+  if (method === 'resources/list') {
+    return { status: 200, body: { jsonrpc: '2.0', id, result: { resources: resourceCatalog.list(conn.session?.id) } } };
+  }
+  if (method === 'resources/templates/list') {
+    return { status: 200, body: { jsonrpc: '2.0', id, result: { resourceTemplates: resourceCatalog.templates() } } };
+  }
+  if (method === 'resources/read' || method === 'prompts/get') {
+    if (!auth.allows(conn.principal, 'eth')) {
+      return { status: 403, body: { jsonrpc: '2.0', id, error: { code: FORBIDDEN_CODE, message: `${method} requires the "eth" scope`, data: { scope: 'eth' } } } };
+    }
+    // Priced by the resources read: a prompt reads the ones it attaches
+    const uris = method === 'resources/read' ? [params?.uri] : promptCatalog.resourcesFor(params?.name, params?.arguments || {});
+    const quota = auth.consume(conn.principal, method, { uris }, upstreamPool.bestHeight() || null);
+    if (!quota.ok) {
+      toolCallsTotal.inc({ tool: method, outcome: 'error' });
+      toolErrorsTotal.inc({ tool: method, class: 'rate_limited' });
+      const message = quota.retryAfterMs === null
+        ? `${method} costs ${quota.cost} tokens, more than this key's bucket holds`
+        : `Rate limit exceeded for ${method}; retry in ${quota.retryAfterMs} ms`;
+      return { status: 429, retryAfterMs: quota.retryAfterMs, body: { jsonrpc: '2.0', error: { code: RATE_LIMITED_CODE, message, data: { cost: quota.cost, retryAfterMs: quota.retryAfterMs } }, id } };
+    }
+    const readOptions = { sessionId: conn.session?.id || null, admin: auth.allows(conn.principal, 'admin') };
+    const args = method === 'resources/read' ? { uri: params?.uri } : { name: params?.name, arguments: params?.arguments || {} };
+    return recordedCall({ label: method, type: method, args, conn }, async () => {
+      try {
+        const result = method === 'resources/read'
+          ? await resourceCatalog.read(params?.uri, readOptions)
+          : await promptCatalog.get(params?.name, params?.arguments || {}, readOptions);
+        return { reply: { status: 200, body: { jsonrpc: '2.0', id, result } }, outcome: { ok: true, result } };
+      } catch (err) {
+        console.warn(`[mcpServer] ${method} failed:`, err?.message || err);
+        const code = err instanceof ResourceNotFoundError || err?.code === -32602 ? err.code : -32000;
+        const error = { code, message: err?.message || String(err), ...(err?.data ? { data: err.data } : {}) };
+        return { reply: { status: 200, body: { jsonrpc: '2.0', id, error } }, outcome: { ok: false, error: { class: errorClass(err), message: error.message } } };
       }
+    });
+  }
+
+  // 2e. prompts/list
+  if (method === 'prompts/list') {
+    return { status: 200, body: { jsonrpc: '2.0', id, result: { prompts: promptCatalog.list() } } };
+  }
+
+  // 2f. ping (keep-alive probe used by streaming clients)
+  if (method === 'ping') {
+    return { status: 200, body: { jsonrpc: '2.0', id, result: {} } };
+  }
+
+  // 3. tools/call (direct invoke)
+  if (method === 'tools/call') {
+    console.log('[mcpServer] tools/call requested', params?.name);
+    if (!params || typeof params !== 'object') {
+      return { status: 400, body: { jsonrpc: '2.0', error: { code: -32602, message: 'Missing params' }, id } };
+    }
+    const { name, arguments: args = {} } = params;
+    const safeName = normalizeToolName(name);
+    if (!safeName || !registeredToolHandlers[safeName]) {
+      console.warn('[mcpServer] Unknown tool requested', name, '->', safeName);
+      return { status: 404, body: { jsonrpc: '2.0', error: { code: -32601, message: `Unknown tool: ${name}` }, id } };
+    }
+    const entry = registeredToolHandlers[safeName];
+    if (!auth.allows(conn.principal, entry.scope)) {
+      console.warn('[mcpServer] tools/call forbidden', safeName, 'for key', conn.principal?.name);
+      toolCallsTotal.inc({ tool: entry.name, outcome: 'error' });
+      toolErrorsTotal.inc({ tool: entry.name, class: 'forbidden' });
+      return { status: 403, body: { jsonrpc: '2.0', error: { code: FORBIDDEN_CODE, message: `Tool ${name} requires the "${entry.scope}" scope`, data: { scope: entry.scope } }, id } };
+    }
+    const quota = auth.consume(conn.principal, entry.name, args, upstreamPool.bestHeight() || null);
+    if (!quota.ok) {
+      console.warn('[mcpServer] tools/call rate limited', safeName, 'for key', conn.principal?.name);
+      toolCallsTotal.inc({ tool: entry.name, outcome: 'error' });
+      toolErrorsTotal.inc({ tool: entry.name, class: 'rate_limited' });
+      const message = quota.retryAfterMs === null
+        ? `Tool ${name} costs ${quota.cost} tokens, more than this key's bucket holds`
+        : `Rate limit exceeded for ${name}; retry in ${quota.retryAfterMs} ms`;
+      return { status: 429, retryAfterMs: quota.retryAfterMs, body: { jsonrpc: '2.0', error: { code: RATE_LIMITED_CODE, message, data: { cost: quota.cost, retryAfterMs: quota.retryAfterMs } }, id } };
+    }
+    const call = { label: entry.name, requestedAs: name !== entry.name ? name : undefined, args, conn, progressToken: params._meta?.progressToken };
+    return recordedCall(call, async ctx => {
       try {
         // Zod validation if available
         const zodSchema = registeredToolHandlers[safeName].schema.inputSchema;
         const parsed = zodSchema ? zodSchema.parse(args) : args;
         const toolResult = await registeredToolHandlers[safeName].handler(parsed);
-        console.log('[mcpServer] tools/call success', safeName);
-        return res.json({ jsonrpc: '2.0', id, result: toolResult });
+        console.log('[mcpServer] tools/call success', safeName, ctx.upstreams.length ? `via ${ctx.upstreams.join(', ')}` : '');
+        const result = ctx.upstreams.length ? { ...toolResult, _meta: { ...toolResult?._meta, upstreams: ctx.upstreams } } : toolResult;
+        return { reply: { status: 200, body: { jsonrpc: '2.0', id, result } }, outcome: { ok: true, result } };
       } catch (err) {
-        const message = err?.message || 'Tool execution error';
-        console.error('[mcpServer] tools/call error', safeName, message);
-        return res.status(500).json({ jsonrpc: '2.0', id, error: { code: -32000, message } });
+        // Tool failures are results with isError (MCP), not JSON-RPC errors: the transport worked
+        const kind = errorClass(err);
+        const message = describeError(err) || 'Tool execution error';
+        console.error('[mcpServer] tools/call error', safeName, `(${kind})`, message);
+        const revert = kind === 'execution_reverted' && typeof err?.data === 'string' ? { revert: abi.decodeRevert(err.data) } : {};
+        const errorResult = toolErrorResult(err, revert);
+        const result = ctx.upstreams.length ? { ...errorResult, _meta: { upstreams: ctx.upstreams } } : errorResult;
+        return { reply: { status: 200, body: { jsonrpc: '2.0', id, result } }, outcome: { ok: false, error: { class: kind, message }, result } };
       }
-    }
+    });
+  }
 
   // 4. Default: respond with JSON-RPC method-not-found (HTTP 200)
   console.warn('[mcpServer] Unknown method received, responding with -32601:', method);
-  return res.json({ jsonrpc: '2.0', id: id ?? null, error: { code: -32601, message: `Unknown method: ${method}` } });
+  return { status: 200, body: { jsonrpc: '2.0', id: id ?? null, error: { code: -32601, message: `Unknown method: ${method}` } } };
+}
+
+// JSON-RPC batch: every entry is handled independently; notifications produce no entry
+// Client batches hold at most MAX_BATCH_SIZE entries (checked by the transports). Each entry is
+// charged to the caller's bucket before it starts, in order: metered methods by handleRpcMessage
+// (before its first await), everything else one token here. Entries past the bucket are refused.
+const MAX_BATCH_SIZE = Number(process.env.MAX_BATCH_SIZE) || 50;
+const METERED_METHODS = new Set(['tools/call', 'resources/read', 'prompts/get']);
+async function handleRpcBatch(messages, conn) {
+  const replies = await Promise.all(messages.map(message => {
+    if (message && typeof message === 'object' && message.method === 'initialize') {
+      return { status: 400, body: { jsonrpc: '2.0', id: message.id ?? null, error: { code: -32600, message: 'initialize must not be part of a batch' } } };
+    }
+    if (!METERED_METHODS.has(message?.method)) {
+      const quota = auth.consume(conn.principal, 'batch entry', {});
+      if (!quota.ok) {
+        const error = { code: RATE_LIMITED_CODE, message: `Rate limit exceeded for batch entry; retry in ${quota.retryAfterMs} ms`, data: { cost: quota.cost, retryAfterMs: quota.retryAfterMs } };
+        return { status: 429, notification: message?.id === undefined, body: { jsonrpc: '2.0', id: message?.id ?? null, error } };
+      }
+    }
+    return handleRpcMessage(message, conn);
+  }));
+  return replies.filter(r => !r.notification).map(r => r.body);
+}
+
+// MCP endpoint (both /mcp and /mcp/)
+async function mcpHandler(req, res) {
+  // Force connection close per request to avoid clients reusing stale keep-alive sockets
+  try { res.setHeader('Connection', 'close'); } catch (_) { /* noop */ }
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', async () => {
+    if (!body) return res.status(400).json({ jsonrpc: '2.0', error: { code: -32600, message: 'Empty request body' }, id: null });
+    let payload;
+    try { payload = JSON.parse(body); } catch {
+      return res.status(400).json({ jsonrpc: '2.0', error: { code: -32700, message: 'Parse error' }, id: null });
+    }
+
+    const principal = authenticateRequest(req, res);
+    if (principal === null) return;
+
+    // Sessions are optional (stateless clients keep working), but a stale id must be rejected
+    // so the client knows to re-initialize.
+    const sessionId = req.get('Mcp-Session-Id');
+    const session = sessionId ? sessionStore.get(sessionId) : undefined;
+    if (sessionId && (!session || !sessionBelongsTo(session, principal))) {
+      return res.status(404).json({ jsonrpc: '2.0', error: { code: -32001, message: 'Session not found' }, id: null });
+    }
+    const conn = {
+      session,
+      principal,
+      createSession: initParams => sessionStore.create({ clientInfo: initParams?.clientInfo, protocolVersion: initParams?.protocolVersion, principalName: principal?.name })
+    };
+    if (session) res.setHeader('Mcp-Session-Id', session.id);
+
+    if (Array.isArray(payload)) {
+      if (!payload.length) {
+        return res.status(400).json({ jsonrpc: '2.0', error: { code: -32600, message: 'Empty batch' }, id: null });
+      }
+      if (payload.length > MAX_BATCH_SIZE) {
+        return res.status(400).json({ jsonrpc: '2.0', error: { code: -32600, message: `Batch of ${payload.length} entries exceeds the limit of ${MAX_BATCH_SIZE}` }, id: null });
+      }
+      console.log('[mcpServer] batch received with', payload.length, 'entries');
+      const replies = await handleRpcBatch(payload, conn);
+      if (!replies.length) return res.status(202).end(); // Notifications only
+      return res.json(replies);
+    }
+
+    const reply = await handleRpcMessage(payload, conn);
+    if (reply.sessionId) {
+      res.setHeader('Mcp-Session-Id', reply.sessionId);
+      console.log('[mcpServer] session issued', reply.sessionId);
+    }
+    if (reply.retryAfterMs) res.setHeader('Retry-After', String(Math.ceil(reply.retryAfterMs / 1000)));
+    return res.status(reply.status).json(reply.body);
   });
 }
 app.post(['/mcp','/mcp/'], mcpHandler);
 
+// Liveness: the process is up and serving HTTP; never touches the upstream
+app.get('/livez', (_req, res) => {
+  res.json({ status: 'ok', uptimeSec: Math.round(process.uptime()) });
+});
+
+// Readiness: probes the upstream (reachable, synced, peers, head age); 503 when any check fails
+app.get('/readyz', async (_req, res) => {
+  if (journal.replaying) return res.json({ status: 'ready', mode: 'replay', checks: {} });
+  try {
+    const { ready, checks, checkedAt } = await nodeHealth.readiness();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks, checkedAt });
+  } catch (e) {
+    res.status(503).json({ status: 'not_ready', error: e.message });
+  }
+});
+
+// Prometheus scrape endpoint
+// With API keys configured, scraping needs a key with the metrics (or admin) scope: the series name
+// every upstream, tool and caller-driven error. METRICS_PUBLIC=1 opts back into an open endpoint.
+const metricsPublic = txInspect.parseBool(process.env.METRICS_PUBLIC, false);
+app.get('/metrics', (req, res) => {
+  if (!metricsPublic) {
+    const principal = authenticateRequest(req, res);
+    if (principal === null) return;
+    if (!auth.allows(principal, 'metrics') && !auth.allows(principal, 'admin')) return res.status(403).json({ error: 'API key lacks the "metrics" scope' });
+  }
+  res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
 // Simple REST fallback to fetch latest block (bypasses MCP entirely)
-app.get('/blockNumber', async (_req, res) => {
+app.get('/blockNumber', async (req, res) => {
+  const principal = authenticateRequest(req, res);
+  if (principal === null) return;
+  if (!auth.allows(principal, 'eth')) return res.status(403).json({ error: 'API key lacks the "eth" scope' });
   try {
     const hex = await queryGeth('eth_blockNumber', []);
     res.json({ blockNumberHex: hex, blockNumberDecimal: hexToDecimalMaybe(hex) });
@@ -444,6 +1338,14 @@ app.get('/blockNumber', async (_req, res) => {
 // Graceful shutdown
 function shutdown() {
   console.log('Shutting down MCP HTTP server...');
+  upstreamPool.stopHealthChecks();
+  responseCache.stop();
+  chainWatcher.stop();
+  stopToolConfigWatch();
+  journal.close();
+  sessionStore.stopSweeper();
+  sessionStore.closeAll(); // End open SSE streams so server.close() can finish
+  if (stdio) stdio.close();
   if (server && typeof server.close === 'function') {
     server.close(() => process.exit(0));
   } else {
@@ -454,9 +1356,43 @@ function shutdown() {
 process.on('SIGINT', shutdown);
 process.on('SIGTERM', shutdown);
 
+// stdio transport: one implicit session whose server-initiated messages go to stdout
+function startStdio() {
+  let session;
+  const transport = startStdioTransport({
+    onMessage: async message => {
+      const reply = await handleRpcMessage(message, { session });
+      // Notifications must not be answered on stdio
+      return reply.notification || message?.id === undefined ? null : reply.body;
+    },
+    onBatch: messages => handleRpcBatch(messages, { session }),
+    maxBatchSize: MAX_BATCH_SIZE,
+    onClose: () => {
+      console.log('[mcpServer] stdin closed');
+      shutdown();
+    }
+  });
+  session = sessionStore.create({ deliver: message => transport.send(message) });
+  console.log('[mcpServer] MCP stdio transport ready');
+  return transport;
+}
+
+// Upstream health probes and cache finality tracking. Off in replay mode: only traffic caused by
+// tool calls is journaled, so background requests would have nothing to be served from.
+function startBackgroundChecks() {
+  if (journal.replaying) return;
+  upstreamPool.startHealthChecks();
+  responseCache.start();
+}
+
 // Start only when run directly (avoid starting on require in tests/tools)
 let server;
-if (require.main === module) {
+let stdio;
+if (stdioEnabled) {
+  stdio = startStdio();
+  startBackgroundChecks();
+}
+if (require.main === module && transportMode !== 'stdio') {
   server = app.listen(port, () => {
     // Relax Node HTTP defaults to support long-lived MCP streaming connections
     try {
@@ -478,6 +1414,8 @@ if (require.main === module) {
     }
 
     console.log(`🚀 MCP server listening at http://localhost:${port}/mcp/`);
+    if (!stdioEnabled) startBackgroundChecks();
+    sessionStore.startSweeper();
   });
   // Handle low-level client socket errors cleanly
   server.on('clientError', (err, socket) => {
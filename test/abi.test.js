@@ -0,0 +1,9 @@
+// Tests for lib/abi.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const abi = require('../lib/abi');
+
+test('a malformed inline ABI is an invalid-params error', () => {
+  assert.throws(() => abi.encodeCall({ abi: '[{"type":"function"', functionName: 'f' }), { name: 'InvalidParamsError', message: /not valid JSON/ });
+  assert.throws(() => abi.registerAbi('Broken', '{"abi":'), { name: 'InvalidParamsError' });
+});
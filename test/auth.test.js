@@ -0,0 +1,66 @@
+// Tests for lib/auth.js scopes, weights and rate limits
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createAuth, scopeForTool } = require('../lib/auth');
+
+function authWith(config) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'auth-')), 'keys.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return createAuth({ file, env: {} });
+}
+
+const auth = authWith({
+  keys: [
+    { name: 'reader', key: 'r-key', scopes: ['eth'], rateLimit: { capacity: 5, refillPerSecond: 1 } },
+    { name: 'ops', key: 'o-key', scopes: ['*'], rateLimit: false }
+  ],
+  weights: { debug_traceTransaction: 10 }
+});
+
+test('without a keys file every caller may do everything', () => {
+  const open = createAuth({ env: {} });
+  assert.equal(open.enabled, false);
+  assert.equal(open.allows(undefined, 'admin'), true);
+  assert.deepEqual(open.consume(undefined, 'debug_traceTransaction', {}), { ok: true });
+});
+
+test('keys are resolved from the bearer header and limited to their scopes', () => {
+  const reader = auth.authenticate('Bearer r-key');
+  const ops = auth.authenticate('bearer o-key');
+  assert.equal(reader.name, 'reader');
+  assert.equal(auth.authenticate('Bearer nope'), null);
+  assert.equal(auth.authenticate(undefined), null);
+  assert.equal(auth.allows(reader, 'eth'), true);
+  assert.equal(auth.allows(reader, scopeForTool('debug_traceTransaction')), false);
+  assert.equal(auth.allows(reader, scopeForTool('eth_registerAbi')), false);
+  assert.equal(auth.allows(ops, 'admin'), true);
+  assert.equal(auth.allows(null, 'eth'), false);
+});
+
+test('unknown scopes in the keys file are rejected', () => {
+  assert.throws(() => authWith({ keys: [{ name: 'x', key: 'k', scopes: ['root'] }] }), /unknown scope/);
+});
+
+test('consume drains the bucket by weight and reports when to retry', () => {
+  const reader = auth.authenticate('Bearer r-key');
+  for (let i = 0; i < 5; i++) assert.equal(auth.consume(reader, 'eth_blockNumber', {}).ok, true);
+  const limited = auth.consume(reader, 'eth_blockNumber', {});
+  assert.equal(limited.ok, false);
+  assert.ok(limited.retryAfterMs > 0 && limited.retryAfterMs <= 1000);
+  // A call costing more than the bucket holds can never run
+  assert.deepEqual(auth.consume(reader, 'debug_traceTransaction', {}), { cost: 10, ok: false, retryAfterMs: null, remaining: 0 });
+  // Keys without a rate limit are never limited
+  assert.equal(auth.consume(auth.authenticate('Bearer o-key'), 'debug_traceTransaction', {}).ok, true);
+});
+
+test('weights follow the work a call causes', () => {
+  assert.equal(auth.weightOf('eth_blockNumber', {}), 1);
+  assert.equal(auth.weightOf('debug_traceTransaction', {}), 10);
+  assert.equal(auth.weightOf('eth_getLogs', { fromBlock: '0x0', toBlock: '0x1387' }), 5);
+  assert.equal(auth.weightOf('eth_getLogs', {}), 20);
+  assert.equal(auth.weightOf('resources/read', { uris: ['geth://account/0x' + '1'.repeat(40)] }), 4);
+  assert.equal(auth.weightOf('prompts/get', { uris: ['geth://node/info', 'geth://block/latest'] }), 7);
+});
@@ -0,0 +1,88 @@
+// Tests for lib/chainWatcher.js polling feeds
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createChainWatcher } = require('../lib/chainWatcher');
+const { createUpstreamPool, UpstreamError } = require('../lib/upstreams');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a filter is polled on the upstream that created it, and losing that upstream shows in the status', async () => {
+  const calls = [];
+  let nextUpstream = 'http://a';
+  let downUpstream = null;
+  const filterRpc = async (method, params, upstream) => {
+    calls.push({ method, upstream });
+    if (upstream && upstream === downUpstream) throw new UpstreamError('Upstream unreachable: ECONNREFUSED', { upstream, retryable: true });
+    if (method === 'eth_newFilter') return { result: `0xf-${nextUpstream}`, upstream: nextUpstream };
+    return { result: [], upstream };
+  };
+  const watcher = createChainWatcher({ rpc: async () => null, filterRpc, pollIntervalMs: 10 });
+  const unsubscribe = watcher.subscribe('logs', { address: '0x' + '1'.repeat(40) }, () => {});
+  await sleep(50);
+  const polls = calls.filter(c => c.method === 'eth_getFilterChanges');
+  assert.ok(polls.length >= 2);
+  assert.ok(polls.every(c => c.upstream === 'http://a'));
+  assert.equal(watcher.status().feeds[0].upstream, 'http://a');
+  assert.equal(watcher.status().feeds[0].lastFailure, null);
+
+  downUpstream = 'http://a';
+  nextUpstream = 'http://b';
+  await sleep(50);
+  const [feed] = watcher.status().feeds;
+  assert.equal(feed.upstream, 'http://b');
+  assert.equal(feed.lastFailure.upstream, 'http://a');
+  assert.match(feed.lastFailure.error, /ECONNREFUSED/);
+  assert.equal(calls.filter(c => c.method === 'eth_newFilter').length, 2);
+
+  unsubscribe();
+  await sleep(10);
+  assert.deepEqual(calls.at(-1), { method: 'eth_uninstallFilter', upstream: 'http://b' });
+  watcher.stop();
+});
+
+test('a pinned pool call goes to that upstream only', async () => {
+  const seen = [];
+  const fetchImpl = async url => {
+    seen.push(url);
+    if (url === 'http://b') throw new Error('connect ECONNREFUSED');
+    return { ok: true, json: async () => ({ jsonrpc: '2.0', id: 1, result: [] }) };
+  };
+  const pool = createUpstreamPool(['http://a', 'http://b'], { fetchImpl, retries: 0 });
+  await assert.rejects(pool.call('eth_getFilterChanges', ['0x1'], { upstream: 'http://b' }), { name: 'UpstreamError', upstream: 'http://b' });
+  assert.deepEqual(seen, ['http://b']);
+  const { upstream } = await pool.call('eth_getFilterChanges', ['0x1'], { upstream: 'http://a' });
+  assert.equal(upstream, 'http://a');
+  await assert.rejects(pool.call('eth_getFilterChanges', ['0x1'], { upstream: 'http://c' }), /Unknown upstream/);
+});
+
+// Node that mines a block on every poll
+function headsWatcher() {
+  let height = 0;
+  const filterRpc = async method => ({ result: method === 'eth_getFilterChanges' ? ['0x' + (++height).toString(16).padStart(64, '0')] : '0x1', upstream: null });
+  const rpc = async (method, params) => ({ number: '0x' + BigInt(params[0]).toString(16), hash: params[0] });
+  return createChainWatcher({ rpc, filterRpc, pollIntervalMs: 10 });
+}
+
+test('waitFor retries a failing check on the next head', async () => {
+  const watcher = headsWatcher();
+  let checks = 0;
+  const value = await watcher.waitFor(async head => {
+    checks += 1;
+    if (checks <= 2) throw new Error('upstream hiccup');
+    return head ? Number(BigInt(head.number)) : undefined;
+  }, { timeoutMs: 2000 });
+  assert.ok(value >= 1);
+  assert.ok(checks >= 3);
+  watcher.stop();
+});
+
+test('waitFor rejects only on timeout or abort', async () => {
+  const watcher = headsWatcher();
+  const failing = async () => { throw new Error('always down'); };
+  await assert.rejects(watcher.waitFor(failing, { timeoutMs: 50 }), { waitTimeout: true });
+  const controller = new AbortController();
+  const waiting = watcher.waitFor(failing, { timeoutMs: 2000, signal: controller.signal });
+  setTimeout(() => controller.abort(new Error('caller went away')), 30);
+  await assert.rejects(waiting, /caller went away/);
+  watcher.stop();
+});
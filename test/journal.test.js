@@ -0,0 +1,54 @@
+// Tests for lib/journal.js record mode
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+const { AsyncLocalStorage } = require('node:async_hooks');
+const { createJournal } = require('../lib/journal');
+
+function fakeNode() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: JSON.parse(body).id, result: '0x1' }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a call stops collecting exchanges once it has been recorded', async () => {
+  const server = await fakeNode();
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'journal-')), 'journal.jsonl');
+  const context = new AsyncLocalStorage();
+  const journal = createJournal({ mode: 'record', file, getContext: () => context.getStore() });
+  const post = () => journal.fetchImpl(url, { method: 'POST', body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_getFilterChanges', params: ['0x1'] }) });
+
+  const ctx = { journal: journal.openSink() };
+  let poller;
+  await context.run(ctx, async () => {
+    await post();
+    // Like a subscription feed started by the call: the timer keeps the call's context
+    poller = setInterval(() => { post().catch(() => {}); }, 10);
+  });
+  const recorded = ctx.journal.close();
+  journal.recordCall({ tool: 'eth_waitForConfirmations', upstream: recorded });
+  assert.equal(recorded.length, 1);
+
+  await sleep(100);
+  clearInterval(poller);
+  assert.equal(recorded.length, 1);
+  assert.deepEqual(ctx.journal.close(), []);
+
+  journal.close();
+  server.close();
+  await sleep(20);
+  const [line] = fs.readFileSync(file, 'utf8').trim().split('\n');
+  assert.equal(JSON.parse(line).upstream.length, 1);
+});
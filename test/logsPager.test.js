@@ -0,0 +1,83 @@
+// Tests for lib/logsPager.js cursors and how lib/auth.js prices continuation pages
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogsPager, readCursor } = require('../lib/logsPager');
+const { createAuth } = require('../lib/auth');
+
+// Node with one log per block up to block 100_000; every eth_getLogs call is recorded
+function fakeNode() {
+  const calls = [];
+  const rpc = async (method, params) => {
+    calls.push({ method, params });
+    if (method === 'eth_blockNumber') return '0x186a0';
+    const from = Number(BigInt(params[0].fromBlock));
+    const to = Number(BigInt(params[0].toBlock));
+    return Array.from({ length: to - from + 1 }, (_, i) => ({ blockNumber: '0x' + (from + i).toString(16), logIndex: '0x0' }));
+  };
+  return { rpc, calls };
+}
+
+const forge = (cursor, changes) => {
+  const [payload, mac] = cursor.split('.');
+  const state = { ...JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')), ...changes };
+  return `${Buffer.from(JSON.stringify(state)).toString('base64url')}.${mac}`;
+};
+
+test('a cursor resumes where the previous page stopped', async () => {
+  const node = fakeNode();
+  const pager = createLogsPager({ rpc: node.rpc, initialWindow: 10 });
+  const first = await pager.fetchPage({ fromBlock: 0, toBlock: 99, maxResults: 25 });
+  assert.equal(first.count, 25);
+  const second = await pager.fetchPage({ cursor: first.cursor, maxResults: 100 });
+  assert.equal(second.logs[0].blockNumber, '0x19');
+  assert.equal(second.complete, true);
+});
+
+test('a cursor with a widened range or window is rejected', async () => {
+  const node = fakeNode();
+  const pager = createLogsPager({ rpc: node.rpc, initialWindow: 10 });
+  const { cursor } = await pager.fetchPage({ fromBlock: 0, toBlock: 99, maxResults: 5 });
+  for (const changes of [{ next: 0, to: 100_000 }, { window: 1e9 }]) {
+    await assert.rejects(pager.fetchPage({ cursor: forge(cursor, changes) }), { name: 'InvalidParamsError' });
+  }
+  await assert.rejects(pager.fetchPage({ cursor: cursor.split('.')[0] }), { name: 'InvalidParamsError' });
+});
+
+test('cursors from another pager need the shared secret', async () => {
+  const node = fakeNode();
+  const { cursor } = await createLogsPager({ rpc: node.rpc, cursorSecret: 's3cret' }).fetchPage({ fromBlock: 0, toBlock: 99_999, maxResults: 5 });
+  await assert.rejects(createLogsPager({ rpc: node.rpc }).fetchPage({ cursor }), { name: 'InvalidParamsError' });
+  const page = await createLogsPager({ rpc: node.rpc, cursorSecret: 's3cret' }).fetchPage({ cursor, maxResults: 5 });
+  assert.equal(page.count, 5);
+});
+
+test('continuation pages are charged for the range left in the cursor', async () => {
+  const auth = createAuth({ env: {} });
+  const pager = createLogsPager({ rpc: fakeNode().rpc, initialWindow: 10 });
+  const wide = await pager.fetchPage({ fromBlock: 0, toBlock: 99_999, maxResults: 5 });
+  const narrow = await pager.fetchPage({ fromBlock: 0, toBlock: 99, maxResults: 5 });
+  assert.equal(readCursor(wide.cursor).next, 5);
+  for (const tool of ['eth_getLogs', 'eth_getEventLogs']) {
+    assert.equal(auth.weightOf(tool, { cursor: wide.cursor }), 20);
+    assert.equal(auth.weightOf(tool, { cursor: narrow.cursor }), 1);
+    assert.equal(auth.weightOf(tool, { cursor: 'garbage' }), 20);
+  }
+});
+
+test('a stalled node cannot hold a page past its time budget', async () => {
+  const node = fakeNode();
+  let windows = 0;
+  // Answers the first window, then hangs like the pool would: until the request's timeout
+  const rpc = async (method, params, opts = {}) => {
+    if (method !== 'eth_getLogs' || windows++ === 0) return node.rpc(method, params);
+    await new Promise(resolve => setTimeout(resolve, opts.timeoutMs ?? 2000));
+    throw Object.assign(new Error('Upstream request timed out'), { name: 'UpstreamError', timeout: true });
+  };
+  const pager = createLogsPager({ rpc, initialWindow: 10, timeBudgetMs: 200 });
+  const started = Date.now();
+  const page = await pager.fetchPage({ fromBlock: 0, toBlock: 999, maxResults: 100 });
+  assert.ok(Date.now() - started < 400, `page took ${Date.now() - started} ms`);
+  assert.equal(page.count, 10);
+  assert.equal(page.complete, false);
+  assert.equal(readCursor(page.cursor).next, 10);
+});
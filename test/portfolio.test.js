@@ -0,0 +1,49 @@
+// Tests for lib/portfolio.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Interface } = require('ethers');
+const { createPortfolio } = require('../lib/portfolio');
+
+const OWNER = '0x' + '1'.repeat(40);
+const TOKEN = '0x' + '2'.repeat(40);
+const erc20 = new Interface(['function balanceOf(address) view returns (uint256)', 'function decimals() view returns (uint8)', 'function symbol() view returns (string)']);
+
+// Node with code at the Multicall3 address that answers aggregate3 with data that does not
+// decode; direct token reads work unless failDirect is set
+function fakeNode({ failDirect = false } = {}) {
+  const batches = [];
+  const rpc = async () => ({ number: '0x10', hash: '0x' + 'a'.repeat(64) });
+  const batch = async calls => {
+    batches.push(calls);
+    const direct = calls.some(c => c.method === 'eth_call' && c.params[0].to === TOKEN);
+    if (direct && failDirect) throw new Error('Upstream unreachable: ECONNREFUSED');
+    return calls.map(({ method, params }) => {
+      if (method === 'eth_getCode') return { result: '0x6080' };
+      if (method === 'eth_getBalance') return { result: '0x0' };
+      if (method === 'eth_getTransactionCount') return { result: '0x0' };
+      if (params[0].to !== TOKEN) return { result: '0xdeadbeef' };
+      const name = erc20.parseTransaction({ data: params[0].data }).name;
+      const value = { balanceOf: [1500n], decimals: [3], symbol: ['TKN'] }[name];
+      return { result: erc20.encodeFunctionResult(name, value) };
+    });
+  };
+  return { rpc, batch, batches };
+}
+
+test('an undecodable multicall reply falls back to direct eth_calls', async () => {
+  const node = fakeNode();
+  const result = await createPortfolio(node).lookup({ addresses: [OWNER], tokens: [TOKEN] });
+  assert.equal(result.multicall.fallbackCalls, 3);
+  assert.equal(result.multicall.errors, undefined);
+  assert.deepEqual(result.accounts[0].tokens[0], { token: TOKEN, symbol: 'TKN', raw: '1500', formatted: '1.5' });
+  assert.equal(node.batches.length, 3);
+});
+
+test('when the fallback fails too, the chunk reads are null with an error', async () => {
+  const node = fakeNode({ failDirect: true });
+  const result = await createPortfolio(node).lookup({ addresses: [OWNER], tokens: [TOKEN] });
+  assert.equal(result.multicall.errors.length, 1);
+  assert.match(result.multicall.errors[0], /did not decode.*ECONNREFUSED/);
+  assert.equal(result.accounts[0].tokens[0].raw, null);
+  assert.match(result.tokens[0].error, /balanceOf failed for 1 address/);
+});
@@ -0,0 +1,167 @@
+// Tests for lib/proofVerifier.js against small Merkle-Patricia tries built here from scratch
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { keccak256, encodeRlp, decodeRlp, toBeHex, zeroPadValue } = require('ethers');
+const { verifyTrieProof, verifyAccountProof, ProofVerificationError, EMPTY_TRIE_ROOT, EMPTY_CODE_HASH } = require('../lib/proofVerifier');
+
+const nibblesOf = hex => [...hex.slice(2)].map(ch => parseInt(ch, 16));
+const quantity = n => (n === 0n ? '0x' : toBeHex(n));
+
+// Hex-prefix encoding of a nibble path (leaf flag 2, odd-length flag 1)
+function hexPrefix(nibbles, isLeaf) {
+  const flag = (isLeaf ? 2 : 0) + (nibbles.length % 2);
+  const all = nibbles.length % 2 ? [flag, ...nibbles] : [flag, 0, ...nibbles];
+  let hex = '0x';
+  for (const n of all) hex += n.toString(16);
+  return hex;
+}
+
+// Build a trie of { key, value } (value = leaf payload as hex). Returns { root, proof(key) }.
+function buildTrie(entries) {
+  const db = new Map(); // hash -> encoded node
+  const ref = node => {
+    const encoded = encodeRlp(node);
+    if ((encoded.length - 2) / 2 < 32) return node; // Embedded in its parent
+    db.set(keccak256(encoded), encoded);
+    return keccak256(encoded);
+  };
+  const build = (items, depth) => {
+    if (items.length === 1) return [hexPrefix(items[0].path.slice(depth), true), items[0].value];
+    let shared = 0;
+    while (items.every(i => i.path[depth + shared] === items[0].path[depth + shared])) shared++;
+    if (shared > 0) return [hexPrefix(items[0].path.slice(depth, depth + shared), false), ref(build(items, depth + shared))];
+    const branch = new Array(17).fill('0x');
+    for (let nibble = 0; nibble < 16; nibble++) {
+      const group = items.filter(i => i.path[depth] === nibble);
+      if (group.length) branch[nibble] = ref(build(group, depth + 1));
+    }
+    return branch;
+  };
+  const items = entries.map(e => ({ path: nibblesOf(keccak256(e.key)), value: e.value }));
+  const rootNode = build(items, 0);
+  const root = keccak256(encodeRlp(rootNode));
+
+  function proof(key) {
+    const path = nibblesOf(keccak256(key));
+    const nodes = [encodeRlp(rootNode)];
+    let node = rootNode;
+    let offset = 0;
+    for (;;) {
+      let child;
+      if (node.length === 17) {
+        child = node[path[offset]];
+        offset += 1;
+      } else {
+        const encodedPath = nibblesOf(node[0]);
+        const isLeaf = encodedPath[0] >= 2;
+        const nibbles = encodedPath.slice(encodedPath[0] % 2 ? 1 : 2);
+        if (isLeaf || nibbles.some((n, i) => n !== path[offset + i])) return nodes;
+        offset += nibbles.length;
+        child = node[1];
+      }
+      if (child === '0x') return nodes;
+      if (typeof child === 'string') {
+        nodes.push(db.get(child));
+        node = decodeRlp(db.get(child));
+      } else {
+        node = child;
+      }
+    }
+  }
+  return { root, proof };
+}
+
+const slotKey = n => zeroPadValue(toBeHex(n), 32);
+const ALICE = '0x' + '11'.repeat(20);
+const BOB = '0x' + '22'.repeat(20);
+const NOBODY = '0x' + '33'.repeat(20);
+const CODE_HASH = keccak256('0x6080');
+
+const storage = buildTrie([
+  { key: slotKey(0n), value: encodeRlp(toBeHex(42n)) },
+  { key: slotKey(1n), value: encodeRlp(toBeHex(7n)) }
+]);
+const accounts = {
+  [ALICE]: { nonce: 5n, balance: 10n ** 18n, storageHash: storage.root, codeHash: CODE_HASH },
+  [BOB]: { nonce: 0n, balance: 9n * 10n ** 21n, storageHash: EMPTY_TRIE_ROOT, codeHash: EMPTY_CODE_HASH }
+};
+const state = buildTrie(Object.entries(accounts).map(([address, a]) => ({
+  key: address,
+  value: encodeRlp([quantity(a.nonce), quantity(a.balance), a.storageHash, a.codeHash])
+})));
+
+// What an honest node answers for eth_getProof
+function honestProof(address, slots = []) {
+  const a = accounts[address] || { nonce: 0n, balance: 0n, storageHash: '0x' + '0'.repeat(64), codeHash: '0x' + '0'.repeat(64) };
+  const values = { 0: 42n, 1: 7n };
+  return {
+    address,
+    nonce: toBeHex(a.nonce),
+    balance: toBeHex(a.balance),
+    storageHash: a.storageHash,
+    codeHash: a.codeHash,
+    accountProof: state.proof(address),
+    storageProof: slots.map(slot => ({ key: toBeHex(slot), value: toBeHex(values[slot] ?? 0n), proof: storage.proof(slotKey(slot)) }))
+  };
+}
+
+test('verifyTrieProof returns the leaf value of a present key', () => {
+  const value = verifyTrieProof(storage.root, slotKey(0n), storage.proof(slotKey(0n)), 'slot 0');
+  assert.equal(BigInt(decodeRlp(value)), 42n);
+});
+
+test('verifyTrieProof returns null for a key the proof shows absent', () => {
+  assert.equal(verifyTrieProof(storage.root, slotKey(9n), storage.proof(slotKey(9n)), 'slot 9'), null);
+  assert.equal(verifyTrieProof(EMPTY_TRIE_ROOT, slotKey(0n), [], 'empty'), null);
+});
+
+test('verifyTrieProof rejects a tampered node and a proof for another root', () => {
+  const proof = storage.proof(slotKey(1n));
+  const tampered = [...proof];
+  tampered[tampered.length - 1] = tampered[tampered.length - 1].slice(0, -2) + (tampered[tampered.length - 1].endsWith('00') ? '01' : '00');
+  assert.throws(() => verifyTrieProof(storage.root, slotKey(1n), tampered, 'slot 1'), ProofVerificationError);
+  assert.throws(() => verifyTrieProof(state.root, slotKey(1n), proof, 'slot 1'), ProofVerificationError);
+});
+
+test('verifyAccountProof accepts an honest proof with storage', () => {
+  const result = verifyAccountProof(state.root, honestProof(ALICE, [0n, 1n]), { address: ALICE, storageKeys: ['0x0', '0x1'] });
+  assert.equal(result.exists, true);
+  assert.equal(result.nonce, 5);
+  assert.equal(result.balanceWei, (10n ** 18n).toString());
+  assert.deepEqual(result.storage.map(s => s.valueDecimal), ['42', '7']);
+});
+
+test('verifyAccountProof proves an absent account', () => {
+  const result = verifyAccountProof(state.root, honestProof(NOBODY), { address: NOBODY });
+  assert.equal(result.exists, false);
+  assert.equal(result.balanceWei, '0');
+});
+
+test('verifyAccountProof rejects a claimed balance the proof does not back', () => {
+  const lie = { ...honestProof(ALICE), balance: toBeHex(10n ** 24n) };
+  assert.throws(() => verifyAccountProof(state.root, lie, { address: ALICE }), /balance claimed/);
+});
+
+test('verifyAccountProof rejects a valid proof for a different account', () => {
+  // Bob's proof is genuine, but Alice was asked for
+  assert.throws(() => verifyAccountProof(state.root, honestProof(BOB), { address: ALICE }), /instead of/);
+  // Same proof relabelled with the requested address: the path is derived from ALICE, so it fails
+  const relabelled = { ...honestProof(BOB), address: ALICE };
+  assert.throws(() => verifyAccountProof(state.root, relabelled, { address: ALICE }), ProofVerificationError);
+});
+
+test('verifyAccountProof requires exactly one proof per requested slot', () => {
+  const missing = honestProof(ALICE, [0n]);
+  assert.throws(() => verifyAccountProof(state.root, missing, { address: ALICE, storageKeys: ['0x0', '0x1'] }), /exactly one storage proof for slot 0x1/);
+
+  const swapped = honestProof(ALICE, [1n]);
+  assert.throws(() => verifyAccountProof(state.root, swapped, { address: ALICE, storageKeys: ['0x0'] }), /exactly one storage proof/);
+
+  const duplicated = honestProof(ALICE, [0n, 0n]);
+  assert.throws(() => verifyAccountProof(state.root, duplicated, { address: ALICE, storageKeys: ['0x0'] }), /returned 2/);
+
+  // A slot-1 proof relabelled as slot 0 walks the slot-0 path and cannot match
+  const relabelled = honestProof(ALICE, [1n]);
+  relabelled.storageProof[0].key = '0x0';
+  assert.throws(() => verifyAccountProof(state.root, relabelled, { address: ALICE, storageKeys: ['0x0'] }), ProofVerificationError);
+});
@@ -0,0 +1,51 @@
+// Tests for lib/responseCache.js cache policy and reorg handling
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createResponseCache } = require('../lib/responseCache');
+
+const hash = n => '0x' + n.toString(16).padStart(64, '0');
+const header = (number, blockHash = hash(number)) => ({ number: '0x' + number.toString(16), hash: blockHash, parentHash: hash(number - 1) });
+
+// Head at block 200, finalized at 100
+async function cacheAtHead() {
+  const rpc = async (method, [tag]) => (tag === 'finalized' ? header(100) : header(200));
+  const cache = createResponseCache({ rpc });
+  await cache.refresh();
+  return cache;
+}
+
+test('only data that can no longer change is cacheable', async () => {
+  const cache = await cacheAtHead();
+  const address = '0x' + '1'.repeat(40);
+  assert.deepEqual(cache.policyFor('eth_getBalance', [address, '0x32'], '0x1'), { blockNumber: null });
+  assert.equal(cache.policyFor('eth_getBalance', [address, '0x96'], '0x1'), null); // Above finalized
+  assert.equal(cache.policyFor('eth_getBalance', [address, 'latest'], '0x1'), null);
+  assert.deepEqual(cache.policyFor('eth_getBalance', [address, { blockHash: hash(150) }], '0x1'), { blockNumber: null });
+  assert.equal(cache.policyFor('eth_blockNumber', [], '0xc8'), null);
+  // Mined receipts are cached but tied to their block until it is final; pending ones are not
+  assert.deepEqual(cache.policyFor('eth_getTransactionReceipt', ['0xabc'], { blockNumber: '0x96' }), { blockNumber: 150 });
+  assert.deepEqual(cache.policyFor('eth_getTransactionReceipt', ['0xabc'], { blockNumber: '0x32' }), { blockNumber: null });
+  assert.equal(cache.policyFor('eth_getTransactionReceipt', ['0xabc'], { blockNumber: null }), null);
+  assert.equal(cache.policyFor('eth_getTransactionReceipt', ['0xabc'], null), null);
+});
+
+test('a reorg drops entries above the finalized block and keeps final ones', async () => {
+  const cache = await cacheAtHead();
+  cache.store('eth_getTransactionReceipt', ['0xrecent'], { blockNumber: '0x96', status: '0x1' });
+  cache.store('eth_getTransactionReceipt', ['0xold'], { blockNumber: '0x32', status: '0x1' });
+  assert.ok(cache.get('eth_getTransactionReceipt', ['0xrecent']));
+
+  // Same height as the tracked head, different hash: a reorg
+  cache.store('eth_getBlockByNumber', ['0xc8', false], header(200, hash(9999)));
+  assert.equal(cache.status().reorgs, 1);
+  assert.equal(cache.get('eth_getTransactionReceipt', ['0xrecent']), undefined);
+  assert.deepEqual(cache.get('eth_getTransactionReceipt', ['0xold']), { blockNumber: '0x32', status: '0x1' });
+});
+
+test('a block whose parent hash does not match the tracked chain is a reorg too', async () => {
+  const cache = await cacheAtHead();
+  cache.store('eth_getBlockByNumber', ['0xc9', false], header(201));
+  assert.equal(cache.status().reorgs, 0);
+  cache.store('eth_getBlockByNumber', ['0xca', false], { ...header(202), parentHash: hash(12345) });
+  assert.equal(cache.status().reorgs, 1);
+});
@@ -0,0 +1,51 @@
+// Tests for lib/stdioTransport.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('node:stream');
+const { startStdioTransport } = require('../lib/stdioTransport');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function run(lines, handlers) {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let written = '';
+  output.on('data', chunk => { written += chunk; });
+  return new Promise(resolve => {
+    startStdioTransport({ ...handlers, input, output, onClose: () => resolve(written.trim().split('\n').filter(Boolean).map(l => JSON.parse(l))) });
+    input.end(lines.map(l => (typeof l === 'string' ? l : JSON.stringify(l))).join('\n') + '\n');
+  });
+}
+
+test('requests still in flight when stdin ends are answered before onClose', async () => {
+  const replies = await run(
+    [{ jsonrpc: '2.0', id: 1, method: 'initialize' }, { jsonrpc: '2.0', id: 2, method: 'tools/call' }, { jsonrpc: '2.0', id: 3, method: 'tools/call' }],
+    { onMessage: async message => { await sleep(message.id === 1 ? 0 : 50); return { jsonrpc: '2.0', id: message.id, result: {} }; } }
+  );
+  assert.deepEqual(replies.map(r => r.id).sort(), [1, 2, 3]);
+});
+
+test('batches, parse errors and notifications', async () => {
+  const replies = await run(
+    ['{not json', [{ jsonrpc: '2.0', id: 7, method: 'ping' }], [], { jsonrpc: '2.0', method: 'notifications/initialized' }],
+    {
+      onMessage: async () => null,
+      onBatch: async messages => { await sleep(20); return messages.map(m => ({ jsonrpc: '2.0', id: m.id, result: {} })); }
+    }
+  );
+  assert.equal(replies.length, 3);
+  assert.ok(replies.some(r => r.error?.code === -32700));
+  assert.ok(replies.some(r => r.error?.code === -32600));
+  assert.ok(replies.some(r => Array.isArray(r) && r[0].id === 7));
+});
+
+test('a batch over maxBatchSize is rejected without running it', async () => {
+  let ran = 0;
+  const ping = id => ({ jsonrpc: '2.0', id, method: 'ping' });
+  const replies = await run(
+    [[ping(1), ping(2), ping(3)], [ping(4), ping(5)]],
+    { maxBatchSize: 2, onBatch: async messages => { ran += messages.length; return messages.map(m => ({ jsonrpc: '2.0', id: m.id, result: {} })); } }
+  );
+  assert.equal(ran, 2);
+  assert.ok(replies.some(r => r.error?.code === -32600 && /limit of 2/.test(r.error.message)));
+});
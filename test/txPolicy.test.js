@@ -0,0 +1,54 @@
+// Tests for lib/txPolicy.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Wallet } = require('ethers');
+const { decodeRawTransaction, loadTxPolicy, evaluateTxPolicy, parseBool } = require('../lib/txPolicy');
+
+const wallet = new Wallet('0x' + '11'.repeat(32));
+const RECIPIENT = '0x' + '22'.repeat(20);
+const OTHER = '0x' + '33'.repeat(20);
+
+// Signed EIP-1559 transfer, decoded like eth_sendRawTransaction does
+async function signed(fields = {}) {
+  const raw = await wallet.signTransaction({ type: 2, chainId: 1, nonce: 5, to: RECIPIENT, value: 1000n, gasLimit: 21000n, maxFeePerGas: 10n, maxPriorityFeePerGas: 1n, ...fields });
+  return decodeRawTransaction(raw);
+}
+
+const policy = loadTxPolicy({ TX_ALLOWED_RECIPIENTS: RECIPIENT, TX_MAX_VALUE_WEI: '1000', TX_MAX_FEE_WEI: '210000', TX_MAX_NONCE_GAP: '1' });
+const chain = { chainId: 1n, nonceLatest: 5, noncePending: 5 };
+const rules = result => result.violations.map(v => v.rule);
+
+test('boolean env flags such as ALLOW_SEND_RAW_TX are off for 0, false and unset', () => {
+  for (const value of ['0', 'false', 'FALSE', 'no', 'off', '']) assert.equal(parseBool(value, false), false, value);
+  assert.equal(parseBool(undefined, false), false);
+  for (const value of ['1', 'true', 'TRUE', 'yes', 'on']) assert.equal(parseBool(value, false), true, value);
+});
+
+test('a transaction within the policy is allowed', async () => {
+  const tx = await signed();
+  assert.equal(tx.from, wallet.address);
+  assert.deepEqual(evaluateTxPolicy(tx, policy, chain), { allowed: true, violations: [] });
+  // Without a policy file or TX_* variables anything goes except contract creation and unprotected txs
+  assert.equal(evaluateTxPolicy(await signed({ to: OTHER, value: 10n ** 18n }), loadTxPolicy({}), chain).allowed, true);
+});
+
+test('each policy rule reports its own violation', async () => {
+  assert.deepEqual(rules(evaluateTxPolicy(await signed({ chainId: 5 }), policy, chain)), ['chainId']);
+  assert.deepEqual(rules(evaluateTxPolicy(await signed({ to: OTHER }), policy, chain)), ['recipient']);
+  assert.deepEqual(rules(evaluateTxPolicy(await signed({ to: null, data: '0x6000' }), policy, chain)), ['recipient']);
+  assert.deepEqual(rules(evaluateTxPolicy(await signed({ value: 1001n }), policy, chain)), ['maxValue']);
+  assert.deepEqual(rules(evaluateTxPolicy(await signed({ maxFeePerGas: 11n }), policy, chain)), ['maxFee']);
+  assert.deepEqual(rules(evaluateTxPolicy(await signed({ nonce: 4 }), policy, chain)), ['nonce']);
+  assert.deepEqual(rules(evaluateTxPolicy(await signed({ nonce: 6 }), policy, chain)), []);
+  assert.deepEqual(rules(evaluateTxPolicy(await signed({ nonce: 7 }), policy, chain)), ['nonce']);
+  const reverted = evaluateTxPolicy(await signed(), policy, { ...chain, simulation: { ok: false, revert: { message: 'Insufficient balance' } } });
+  assert.deepEqual(rules(reverted), ['simulation']);
+  assert.match(reverted.violations[0].message, /Insufficient balance/);
+});
+
+test('pre-EIP-155 signatures need allowUnprotected', async () => {
+  const legacy = decodeRawTransaction(await wallet.signTransaction({ type: 0, nonce: 5, to: RECIPIENT, value: 1n, gasLimit: 21000n, gasPrice: 1n }));
+  assert.equal(legacy.chainId, '0');
+  assert.deepEqual(rules(evaluateTxPolicy(legacy, policy, chain)), ['chainId']);
+  assert.equal(evaluateTxPolicy(legacy, { ...policy, allowUnprotected: true }, chain).allowed, true);
+});
@@ -0,0 +1,55 @@
+// Tests for lib/upstreams.js failover
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUpstreamPool } = require('../lib/upstreams');
+
+const ok = result => ({ ok: true, json: async () => ({ jsonrpc: '2.0', id: 1, result }) });
+
+// fetch that answers per URL: a function of the request, or an Error to throw
+function fakeFetch(behaviour) {
+  const seen = [];
+  const fetchImpl = async (url, init) => {
+    seen.push(url);
+    const answer = behaviour[url];
+    if (answer instanceof Error) throw answer;
+    return answer(JSON.parse(init.body));
+  };
+  return { fetchImpl, seen };
+}
+
+test('a call fails over to the next upstream and a failing one cools down', async () => {
+  const { fetchImpl, seen } = fakeFetch({ 'http://a': new Error('connect ECONNREFUSED'), 'http://b': () => ok('0x10') });
+  const pool = createUpstreamPool(['http://a', 'http://b'], { fetchImpl, retries: 0, failureThreshold: 1 });
+  const { data, upstream } = await pool.call('eth_blockNumber', []);
+  assert.equal(upstream, 'http://b');
+  assert.equal(data.result, '0x10');
+  assert.deepEqual(seen, ['http://a', 'http://b']);
+  const [a, b] = pool.status();
+  assert.equal(a.healthy, false);
+  assert.ok(a.coolingDownMs > 0);
+  assert.equal(b.blockHeight, 16);
+  // Cooling down: the healthy upstream is tried first now
+  await pool.call('eth_chainId', []);
+  assert.deepEqual(seen, ['http://a', 'http://b', 'http://b']);
+});
+
+test('HTTP 4xx is not failed over, 5xx is', async () => {
+  const status = code => () => ({ ok: false, status: code, statusText: 'x' });
+  const client = fakeFetch({ 'http://a': status(400), 'http://b': () => ok('0x1') });
+  await assert.rejects(createUpstreamPool(['http://a', 'http://b'], { fetchImpl: client.fetchImpl, retries: 0 }).call('eth_chainId', []), { name: 'UpstreamError', status: 400 });
+  assert.deepEqual(client.seen, ['http://a']);
+  const server = fakeFetch({ 'http://a': status(502), 'http://b': () => ok('0x1') });
+  const { upstream } = await createUpstreamPool(['http://a', 'http://b'], { fetchImpl: server.fetchImpl, retries: 0 }).call('eth_chainId', []);
+  assert.equal(upstream, 'http://b');
+});
+
+test('a timed-out broadcast is not sent to a second upstream', async () => {
+  const timeout = Object.assign(new Error('aborted'), { name: 'AbortError' });
+  const { fetchImpl, seen } = fakeFetch({ 'http://a': timeout, 'http://b': () => ok('0xhash') });
+  const pool = createUpstreamPool(['http://a', 'http://b'], { fetchImpl });
+  await assert.rejects(pool.call('eth_sendRawTransaction', ['0x02']), { timeout: true });
+  assert.deepEqual(seen, ['http://a']);
+  // Reads do fail over after a timeout
+  const { upstream } = await pool.call('eth_getBalance', ['0x' + '1'.repeat(40), 'latest']);
+  assert.equal(upstream, 'http://b');
+});